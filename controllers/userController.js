@@ -1,15 +1,20 @@
 const User = require('../models/User');
 const Worker = require('../models/Worker');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const ErrorResponse = require('../utils/errorResponse');
 const { validateCoordinates, logLocationInfo } = require('../utils/locationUtils');
+const { createSession } = require('../utils/tokens');
 
 // Register User - Client or Worker
 exports.register = async (req, res, next) => {
     try {
         const { name, email, password, phone, address, userType, skills, experience, city, cityLatitude, cityLongitude } = req.body;
         
+        // Admin accounts can't be self-registered
+        if (userType === 'admin') {
+            return next(new ErrorResponse('Invalid user type', 400));
+        }
+
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -64,16 +69,13 @@ exports.register = async (req, res, next) => {
             console.log(`Worker profile created successfully for user ${user._id}`);
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { _id: user._id.toString() },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Start a session for this device
+        const { token, refreshToken } = await createSession(user, req);
 
         res.status(201).json({
             success: true,
             token,
+            refreshToken,
             user: {
                 _id: user._id,
                 name: user.name,
@@ -108,12 +110,8 @@ exports.login = async (req, res, next) => {
             return next(new ErrorResponse('Invalid credentials', 401));
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { _id: user._id.toString() },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Start a session for this device
+        const { token, refreshToken } = await createSession(user, req);
 
         // Remove password from response
         user.password = undefined;
@@ -121,6 +119,7 @@ exports.login = async (req, res, next) => {
         res.status(200).json({
             success: true,
             token,
+            refreshToken,
             user
         });
     } catch (error) {
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('./models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Usage: node createAdmin.js <email> <password> [name]
+// Promotes an existing account to admin, or creates a new admin account.
+const createAdmin = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: node createAdmin.js <email> <password> [name]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+      user.userType = 'admin';
+      user.status = 'active';
+      await user.save();
+      console.log(`Promoted ${user.email} to admin`);
+    } else {
+      if (!password) {
+        console.error('A password is required to create a new admin account');
+        process.exit(1);
+      }
+      user = await User.create({
+        name,
+        email,
+        password,
+        userType: 'admin',
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+      console.log(`Created admin account ${user.email}`);
+    }
+  } catch (error) {
+    console.error('Error creating admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin();
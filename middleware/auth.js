@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getJwtSecret } = require('../utils/tokens');
 
 module.exports = async (req, res, next) => {
   try {
@@ -11,8 +13,18 @@ module.exports = async (req, res, next) => {
     }
 
     try {
-      // Verify token using only the environment secret
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify with the same secret the tokens are signed with
+      const decoded = jwt.verify(token, getJwtSecret());
+
+      // Access tokens must belong to a live server-side session
+      if (!decoded.sid) {
+        return res.status(401).json({ message: 'Session expired, please login again', expired: true });
+      }
+
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isActive() || session.user.toString() !== decoded._id) {
+        return res.status(401).json({ message: 'Session has been revoked, please login again', revoked: true });
+      }
       
       // Find user
       const user = await User.findById(decoded._id).select('-password');
@@ -20,9 +32,14 @@ module.exports = async (req, res, next) => {
       if (!user) {
         return res.status(401).json({ message: 'User not found' });
       }
+
+      if (user.status === 'suspended') {
+        return res.status(403).json({ message: 'Your account has been suspended', suspended: true });
+      }
       
       req.user = user;
       req.token = token;
+      req.authSession = session;
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -0,0 +1,11 @@
+// Blocks accounts that have not confirmed their email address yet.
+// Must run after the auth middleware.
+module.exports = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address to continue',
+      emailVerified: false
+    });
+  }
+  next();
+};
@@ -0,0 +1,9 @@
+// Restricts a route to the given user types. Must run after the auth middleware.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.userType)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  next();
+};
+
+module.exports = requireRole;
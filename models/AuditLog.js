@@ -0,0 +1,53 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of moderation actions taken by admins
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: [
+            'user.suspend',
+            'user.reinstate',
+            'job.force_cancel',
+            'review.delete',
+            'review.approve',
+            'review.remove',
+            'dispute.start_review',
+            'dispute.resolve',
+            'task.retry'
+        ]
+    },
+    targetType: {
+        type: String,
+        required: true,
+        enum: ['User', 'Worker', 'Job', 'Review', 'Dispute', 'Task']
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    reason: {
+        type: String
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
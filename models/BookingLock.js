@@ -0,0 +1,27 @@
+// models/BookingLock.js
+const mongoose = require('mongoose');
+
+// Held while a worker is being booked onto a job (see bookWorker in
+// utils/availability.js), so checking their calendar and assigning the job
+// happen as one step per worker. One document per worker, keyed by user id;
+// inserting a second one fails on the _id index.
+const bookingLockSchema = new mongoose.Schema({
+    _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Identifies the holder, so only it releases the lock
+    token: {
+        type: String,
+        required: true
+    },
+    // A lock left by a crashed request is free again after this
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+bookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
@@ -0,0 +1,50 @@
+// models/Conversation.js
+const mongoose = require('mongoose');
+
+// One conversation per job per worker, between that worker and the client
+const conversationSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    worker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Unread message count for each side
+    unread: {
+        client: { type: Number, default: 0 },
+        worker: { type: Number, default: 0 }
+    },
+    lastMessageAt: {
+        type: Date
+    },
+    lastMessagePreview: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+conversationSchema.index({ job: 1, worker: 1 }, { unique: true });
+conversationSchema.index({ client: 1, lastMessageAt: -1 });
+conversationSchema.index({ worker: 1, lastMessageAt: -1 });
+
+// 'client' or 'worker' for a participant, null for anyone else
+conversationSchema.methods.sideOf = function(user) {
+    const userId = user._id.toString();
+    if (this.client.toString() === userId) return 'client';
+    if (this.worker.toString() === userId) return 'worker';
+    return null;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,137 @@
+// models/Dispute.js
+const mongoose = require('mongoose');
+
+const DISPUTE_STATUSES = ['open', 'under review', 'resolved for client', 'resolved for worker', 'withdrawn'];
+
+// Statuses in which the dispute still freezes its job
+const ACTIVE_STATUSES = ['open', 'under review'];
+
+const attachmentSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const disputeMessageSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    authorRole: {
+        type: String,
+        enum: ['client', 'worker', 'admin'],
+        required: true
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 5000
+    },
+    attachments: [String],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const disputeSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true,
+        index: true
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    worker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    // Job status when the dispute was opened
+    jobStatusAtOpen: {
+        type: String
+    },
+    evidence: [attachmentSchema],
+    messages: [disputeMessageSchema],
+    status: {
+        type: String,
+        enum: DISPUTE_STATUSES,
+        default: 'open'
+    },
+    assignedAdmin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolution: {
+        notes: String,
+        jobStatus: String,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+disputeSchema.index({ client: 1, createdAt: -1 });
+disputeSchema.index({ worker: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+disputeSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+disputeSchema.methods.isActive = function() {
+    return ACTIVE_STATUSES.includes(this.status);
+};
+
+// Role of a user in this dispute, or null if they aren't part of it
+disputeSchema.methods.roleOf = function(user) {
+    const userId = user._id.toString();
+    if (this.client.toString() === userId) return 'client';
+    if (this.worker.toString() === userId) return 'worker';
+    if (user.userType === 'admin') return 'admin';
+    return null;
+};
+
+disputeSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -1,5 +1,72 @@
 // models/Job.js
 const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const realtime = require('../utils/realtime');
+const { buildJobSchedule, timeZoneForLocation } = require('../utils/jobSchedule');
+
+const JOB_STATUSES = ['pending', 'in progress', 'awaiting confirmation', 'disputed', 'completed', 'cancelled', 'expired'];
+
+// Allowed status changes and who may make each one. Moving a pending job to
+// 'in progress' also assigns a worker, so it only happens through accept/award.
+// Completion is two-sided: the worker submits, then the client confirms or
+// disputes (or the system confirms once the window expires). Pending jobs
+// nobody took before their start time are expired by the scheduler.
+const STATUS_TRANSITIONS = {
+    'pending': {
+        'in progress': ['worker', 'client', 'system'],
+        'cancelled': ['client', 'admin', 'system'],
+        'expired': ['system']
+    },
+    'in progress': {
+        'awaiting confirmation': ['worker'],
+        'cancelled': ['client', 'admin'],
+        'pending': ['worker'] // assigned worker backs out, job reopens
+    },
+    'awaiting confirmation': {
+        'completed': ['client', 'admin', 'system'],
+        'disputed': ['client'],
+        'cancelled': ['admin']
+    },
+    'disputed': {
+        'completed': ['client', 'admin'],
+        'in progress': ['admin'], // work has to be redone
+        'cancelled': ['admin']
+    },
+    'completed': {},
+    'cancelled': {},
+    'expired': {}
+};
+
+// Transitions that must explain themselves in the history
+const REASON_REQUIRED = ['cancelled', 'pending', 'disputed'];
+
+const statusHistorySchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: JOB_STATUSES
+    },
+    to: {
+        type: String,
+        enum: JOB_STATUSES,
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: {
+        type: String,
+        enum: ['client', 'worker', 'admin', 'system'],
+        required: true
+    },
+    reason: {
+        type: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
     title: {
@@ -69,14 +136,63 @@ const jobSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // IANA time zone the date and times above are in (where the job takes place)
+    timeZone: {
+        type: String
+    },
+    // Real instants the job starts and ends, derived from the fields above
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
+    // Bumped when the schedule changes or the job is called off, so calendar apps update the event
+    calendarSequence: {
+        type: Number,
+        default: 0
+    },
     images: [{
         type: String
     }],
+    // Worker's proof of work and the client's response to it
+    completion: {
+        submittedAt: Date,
+        notes: String,
+        photos: [String],
+        confirmBy: Date, // auto-confirmed after this if the client doesn't respond
+        confirmedAt: Date,
+        autoConfirmed: Boolean,
+        disputedAt: Date,
+        disputeReason: String
+    },
+    // Set while a dispute is open; freezes status transitions and reviews
+    activeDispute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dispute'
+    },
+    // Schedule change proposed by the client on an assigned job, awaiting the worker
+    pendingReschedule: {
+        deadline: Date,
+        timeStart: String,
+        timeEnd: String,
+        reason: String,
+        requestedAt: Date
+    },
+    // Progress of the new-job notification fan-out, widened in stages
+    notificationRound: {
+        stage: Number,
+        radiusKm: Number,
+        notifiedCount: Number,
+        notifiedAt: Date,
+        nextWidenAt: Date
+    },
     status: {
         type: String,
-        enum: ['pending', 'in progress', 'completed', 'cancelled'],
+        enum: JOB_STATUSES,
         default: 'pending'
     },
+    statusHistory: [statusHistorySchema],
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -86,13 +202,67 @@ const jobSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    awardedQuote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quote'
+    },
+    agreedPrice: {
+        type: Number,
+        min: 0
+    },
     createdAt: {
         type: Date,
         default: Date.now
     },
+    updatedAt: {
+        type: Date
+    },
     completedAt: {
         type: Date
     },
+    cancelledAt: {
+        type: Date
+    },
+    cancellationReason: {
+        type: String
+    },
+    expiredAt: {
+        type: Date
+    },
+    // The expired/cancelled job this one was reposted from
+    repostedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job'
+    },
+    // Reminder offsets (hours before start) already sent for the current schedule
+    remindersSent: [{
+        type: Number
+    }],
+    // Set when an in-progress job runs past its end time
+    overdueAt: {
+        type: Date
+    },
+    // Recurring series this job is an occurrence of (see models/JobSeries.js)
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JobSeries'
+    },
+    occurrence: {
+        type: Number
+    },
+    // The client edited this occurrence on its own; series edits leave it alone
+    seriesException: {
+        type: Boolean,
+        default: false
+    },
+    // Held for one worker (the series' previous worker) until it expires or they decline
+    offer: {
+        worker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        expiresAt: Date
+    },
     radius: {
         type: Number,
         required: true,
@@ -102,6 +272,31 @@ const jobSchema = new mongoose.Schema({
     }
 });
 
+// Keep startsAt/endsAt in step with the date, times and time zone
+jobSchema.pre('validate', function(next) {
+    const fields = ['deadline', 'timeStart', 'timeEnd', 'timeZone'];
+    if (this.startsAt && !fields.some(field => this.isModified(field))) {
+        return next();
+    }
+
+    if (!this.isNew) {
+        this.calendarSequence = (this.calendarSequence || 0) + 1;
+    }
+
+    const schedule = buildJobSchedule({
+        deadline: this.deadline,
+        timeStart: this.timeStart,
+        timeEnd: this.timeEnd,
+        timeZone: this.timeZone || timeZoneForLocation(this.location && this.location.coordinates)
+    });
+    if (schedule.error) {
+        this.invalidate('timeStart', schedule.error);
+        return next();
+    }
+    Object.assign(this, schedule);
+    next();
+});
+
 // Add this method to find nearby workers
 jobSchema.statics.findNearbyWorkers = async function (coordinates, radiusInKm) {
     try {
@@ -144,8 +339,206 @@ jobSchema.statics.findNearby = async function(location, radiusInKm, filters = {}
     }
 };
 
+jobSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Query condition for jobs a worker may see and take: not held for someone else
+jobSchema.statics.openToWorker = function(workerId, now = new Date()) {
+    return {
+        $or: [
+            { 'offer.worker': null },
+            { 'offer.worker': workerId },
+            { 'offer.expiresAt': { $lte: now } }
+        ]
+    };
+};
+
+// Let both parties' open clients know the status moved
+const publishStatusChange = (job, from) => realtime.publish([job.user, job.worker], 'job.status', {
+    jobId: job._id.toString(),
+    title: job.title,
+    from,
+    to: job.status
+});
+
+// Work out in which capacity a user is acting on a job
+jobSchema.methods.roleOf = function(user) {
+    if (!user) return 'system';
+    const userId = user._id.toString();
+    if (this.user && this.user.toString() === userId) return 'client';
+    if (this.worker && this.worker.toString() === userId) return 'worker';
+    if (user.userType === 'admin') return 'admin';
+    if (user.userType === 'worker') return 'worker';
+    return null;
+};
+
+/**
+ * Move a job to a new status, enforcing STATUS_TRANSITIONS.
+ * The write is conditional on the status (and worker) the job had when it was
+ * read, so concurrent requests cannot both apply the same transition and
+ * side effects such as the completedJobs increment run exactly once.
+ *
+ * While a dispute is open the job is frozen; only the dispute itself (passed
+ * as `dispute`) can move it, which also clears the freeze.
+ *
+ * @param {Object} job - Job document as currently loaded
+ * @param {String} to - Target status
+ * @param {Object} options - { actor, role, reason, set, dispute }
+ *   actor: acting user document (omit for system transitions)
+ *   role: override the role derived from the actor
+ *   set: extra fields to write with the transition (e.g. the assigned worker)
+ *   dispute: the job's active dispute, when resolving it
+ * @returns {Promise<Object>} The updated job
+ * @throws {ErrorResponse} 400 invalid transition, 403 wrong role, 409 lost a race or frozen
+ */
+jobSchema.statics.transition = async function(job, to, { actor, role, reason, set = {}, dispute } = {}) {
+    const from = job.status;
+
+    if (job.activeDispute && !(dispute && dispute._id.equals(job.activeDispute))) {
+        throw new ErrorResponse('This job has an open dispute and cannot change status until it is resolved', 409);
+    }
+
+    const actorRole = role || job.roleOf(actor);
+    const allowed = (STATUS_TRANSITIONS[from] || {})[to];
+
+    if (!allowed) {
+        throw new ErrorResponse(`Cannot change job status from '${from}' to '${to}'`, 400);
+    }
+
+    if (!actorRole || !allowed.includes(actorRole)) {
+        throw new ErrorResponse(`Not authorized to change job status to '${to}'`, 403);
+    }
+
+    if (REASON_REQUIRED.includes(to) && !reason) {
+        throw new ErrorResponse('A reason is required for this status change', 400);
+    }
+
+    if (from === 'pending' && to === 'in progress' && !set.worker) {
+        throw new ErrorResponse('A worker must be assigned to start a job', 400);
+    }
+
+    const now = new Date();
+    const update = {
+        $set: { ...set, status: to },
+        $push: {
+            statusHistory: {
+                from,
+                to,
+                actor: actor ? actor._id : undefined,
+                actorRole,
+                reason,
+                at: now
+            }
+        }
+    };
+
+    if (to === 'completed') {
+        update.$set.completedAt = now;
+        update.$set['completion.confirmedAt'] = now;
+        update.$set['completion.autoConfirmed'] = actorRole === 'system';
+    }
+    if (to === 'disputed') {
+        update.$set['completion.disputedAt'] = now;
+        update.$set['completion.disputeReason'] = reason;
+    }
+    if (to === 'cancelled') {
+        update.$set.cancelledAt = now;
+        update.$set.cancellationReason = reason;
+    }
+    if (to === 'expired') {
+        update.$set.expiredAt = now;
+    }
+    if (to === 'cancelled' || to === 'expired') {
+        update.$inc = { calendarSequence: 1 };
+    }
+    if (from === 'in progress' && to === 'pending') {
+        update.$unset = { worker: 1, awardedQuote: 1, agreedPrice: 1 };
+    }
+    if (dispute) {
+        update.$unset = { ...update.$unset, activeDispute: 1 };
+    }
+
+    const updated = await this.findOneAndUpdate(
+        {
+            _id: job._id,
+            status: from,
+            worker: job.worker || null,
+            activeDispute: job.activeDispute || null
+        },
+        update,
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        throw new ErrorResponse('Job was updated by someone else, please refresh and try again', 409);
+    }
+
+    // Side effects run only for the request whose conditional update won
+    if (to === 'completed' && updated.worker) {
+        await mongoose.model('User').findByIdAndUpdate(updated.worker, {
+            $inc: { completedJobs: 1 }
+        });
+    }
+
+    await publishStatusChange(updated, from);
+
+    return updated;
+};
+
+/**
+ * Assign a pending job to a worker in a single conditional update.
+ * Exactly one of any number of concurrent callers gets the job; the rest
+ * get a 409. A job held for another worker (see `offer`) cannot be claimed.
+ *
+ * @param {String|ObjectId} jobId - Job to claim
+ * @param {Object} worker - User document of the accepting worker
+ * @returns {Promise<Object>} The updated job
+ * @throws {ErrorResponse} 404 if the job doesn't exist, 409 if it was already taken or is held
+ */
+jobSchema.statics.claim = async function(jobId, worker) {
+    const job = await this.findOneAndUpdate(
+        { _id: jobId, status: 'pending', worker: null, ...this.openToWorker(worker._id) },
+        {
+            $set: { worker: worker._id, status: 'in progress' },
+            $unset: { offer: 1 },
+            $push: {
+                statusHistory: {
+                    from: 'pending',
+                    to: 'in progress',
+                    actor: worker._id,
+                    actorRole: 'worker',
+                    reason: 'Accepted by worker',
+                    at: new Date()
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (job) {
+        await publishStatusChange(job, 'pending');
+        return job;
+    }
+
+    const existing = await this.findById(jobId).select('status worker offer');
+    if (!existing) {
+        throw new ErrorResponse('Job not found', 404);
+    }
+    if (existing.status === 'pending' && !existing.worker) {
+        throw new ErrorResponse('This job is currently offered to another worker', 409);
+    }
+    throw new ErrorResponse('Job is no longer available', 409);
+};
+
 // Add index for geospatial queries
 jobSchema.index({ location: '2dsphere' });
+// Scheduler and availability lookups by time
+jobSchema.index({ status: 1, startsAt: 1 });
+jobSchema.index({ worker: 1, startsAt: 1 });
+// One job per occurrence of a series
+jobSchema.index(
+    { series: 1, occurrence: 1 },
+    { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 const Job = mongoose.model('Job', jobSchema);
 module.exports = Job;
\ No newline at end of file
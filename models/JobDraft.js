@@ -0,0 +1,79 @@
+// models/JobDraft.js
+const mongoose = require('mongoose');
+const Job = require('./Job');
+
+// A job a client has started but not published. Every field is optional until
+// publishing, which runs the same checks as posting a job directly. Drafts are
+// a separate collection so no worker-facing query can ever pick them up.
+const jobDraftSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    category: {
+        type: String,
+        enum: Job.schema.path('category').enumValues
+    },
+    address: {
+        type: String
+    },
+    latitude: {
+        type: Number,
+        min: -90,
+        max: 90
+    },
+    longitude: {
+        type: Number,
+        min: -180,
+        max: 180
+    },
+    budget: {
+        type: Number,
+        min: 0
+    },
+    deadline: {
+        type: Date
+    },
+    timeStart: {
+        type: String
+    },
+    timeEnd: {
+        type: String
+    },
+    timeZone: {
+        type: String
+    },
+    radius: {
+        type: Number,
+        min: 1,
+        max: 50
+    },
+    images: [{
+        type: String
+    }],
+    // Template the draft was started from, if any
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JobTemplate'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+jobDraftSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('JobDraft', jobDraftSchema);
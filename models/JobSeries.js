@@ -0,0 +1,127 @@
+// models/JobSeries.js
+const mongoose = require('mongoose');
+const Job = require('./Job');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const SERIES_STATUSES = ['active', 'ended', 'cancelled'];
+
+// A client's recurring job. The scheduler turns it into concrete Job documents
+// (occurrences) a little ahead of time; see utils/jobSeries.js.
+const jobSeriesSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: SERIES_STATUSES,
+        default: 'active'
+    },
+    // Fields copied onto every occurrence
+    template: {
+        title: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            required: true
+        },
+        category: {
+            type: String,
+            required: true,
+            enum: Job.schema.path('category').enumValues
+        },
+        location: {
+            type: {
+                type: String,
+                enum: ['Point'],
+                default: 'Point'
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                required: true
+            }
+        },
+        address: {
+            type: String,
+            required: true
+        },
+        budget: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        timeStart: {
+            type: String,
+            required: true
+        },
+        timeEnd: {
+            type: String,
+            required: true
+        },
+        timeZone: {
+            type: String,
+            required: true
+        },
+        radius: {
+            type: Number,
+            default: 10,
+            min: 1,
+            max: 50
+        },
+        images: [{
+            type: String
+        }]
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: FREQUENCIES,
+            required: true
+        },
+        // Date of the first occurrence (UTC midnight of the calendar date)
+        startDate: {
+            type: Date,
+            required: true
+        },
+        // Last date an occurrence may fall on, and/or the number of occurrences
+        until: Date,
+        count: {
+            type: Number,
+            min: 1
+        }
+    },
+    // Hold each new occurrence for the worker who did the last one before opening it up
+    offerToPreviousWorker: {
+        type: Boolean,
+        default: false
+    },
+    skippedOccurrences: [{
+        type: Number
+    }],
+    // Highest occurrence index the scheduler has dealt with (-1: none yet)
+    generatedThrough: {
+        type: Number,
+        default: -1
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date
+    },
+    endedAt: {
+        type: Date
+    }
+});
+
+jobSeriesSchema.statics.FREQUENCIES = FREQUENCIES;
+
+jobSeriesSchema.index({ status: 1 });
+jobSeriesSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JobSeries', jobSeriesSchema);
@@ -0,0 +1,81 @@
+// models/JobTemplate.js
+const mongoose = require('mongoose');
+const Job = require('./Job');
+
+// A client's saved job details. Instantiating one with a date posts a job (or
+// starts a draft) without filling the form in again.
+const jobTemplateSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String
+    },
+    category: {
+        type: String,
+        enum: Job.schema.path('category').enumValues
+    },
+    address: {
+        type: String
+    },
+    latitude: {
+        type: Number,
+        min: -90,
+        max: 90
+    },
+    longitude: {
+        type: Number,
+        min: -180,
+        max: 180
+    },
+    budget: {
+        type: Number,
+        min: 0
+    },
+    // Usual time window, HH:MM wall-clock time where the job takes place
+    timeStart: {
+        type: String
+    },
+    timeEnd: {
+        type: String
+    },
+    timeZone: {
+        type: String
+    },
+    radius: {
+        type: Number,
+        min: 1,
+        max: 50
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+jobTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobTemplate', jobTemplateSchema);
@@ -0,0 +1,42 @@
+// models/Message.js
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: 5000
+    },
+    attachments: [{
+        type: String
+    }],
+    // Read receipt: when the other participant read the message
+    readAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+messageSchema.pre('validate', function(next) {
+    if (!this.body && (!this.attachments || this.attachments.length === 0)) {
+        return next(new Error('A message needs text or an attachment'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,90 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long notifications are kept; read ones are dropped sooner
+const UNREAD_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+const READ_RETENTION_DAYS = parseInt(process.env.READ_NOTIFICATION_RETENTION_DAYS, 10) || 30;
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['new_job', 'job_update', 'payment', 'message']
+    },
+    title: {
+        type: String
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job'
+    },
+    // Search stage of a new-job fan-out (see utils/notifications.js notifyJobStage)
+    stage: {
+        type: Number
+    },
+    // False when the user has the in-app channel switched off: the record is
+    // still kept for outside deliveries, digests and new-job fan-out, but it
+    // is left out of their notification list and unread count
+    inApp: {
+        type: Boolean,
+        default: true
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    },
+    // Channels held back by quiet hours, sent later as part of a digest
+    deferredChannels: [{
+        type: String
+    }],
+    digestPending: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    // MongoDB's TTL monitor deletes the notification after this
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + UNREAD_RETENTION_DAYS * DAY_MS)
+    }
+});
+
+notificationSchema.index({ recipient: 1, _id: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+notificationSchema.index({ job: 1, type: 1 });
+// A worker hears about a job at most once per stage, even if the fan-out is retried
+notificationSchema.index(
+    { job: 1, stage: 1, recipient: 1 },
+    { unique: true, partialFilterExpression: { stage: { $exists: true } } }
+);
+notificationSchema.index({ digestPending: 1, recipient: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Expiry to set when a notification is marked read
+notificationSchema.statics.readExpiry = () => new Date(Date.now() + READ_RETENTION_DAYS * DAY_MS);
+
+// Query for the notifications a user sees in the app
+notificationSchema.statics.listedFor = (userId) => ({ recipient: userId, inApp: { $ne: false } });
+
+notificationSchema.statics.unreadCountFor = function(userId) {
+    return this.countDocuments({ ...this.listedFor(userId), isRead: false });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,70 @@
+// models/NotificationDelivery.js
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'sent', 'retrying', 'failed', 'skipped'];
+
+// One attempt to get a notification to a user over an outside channel
+const notificationDeliverySchema = new mongoose.Schema({
+    // Unset for messages that are not a single notification (e.g. digests)
+    notification: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notification',
+        index: true
+    },
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    channel: {
+        type: String,
+        required: true,
+        enum: ['push', 'email', 'sms']
+    },
+    provider: {
+        type: String
+    },
+    // Rendered content, kept so retries send exactly the same message
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    providerMessageId: {
+        type: String
+    },
+    sentAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Delivery records are kept for a while for troubleshooting
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    }
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+notificationDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,64 @@
+// models/PushSubscription.js
+const mongoose = require('mongoose');
+
+// One browser/device a user has allowed to receive web push
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // The push service URL identifies the subscription
+    endpoint: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: true
+        },
+        auth: {
+            type: String,
+            required: true
+        }
+    },
+    expirationTime: {
+        type: Date
+    },
+    deviceLabel: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    userAgent: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSuccessAt: {
+        type: Date
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    failureCount: {
+        type: Number,
+        default: 0
+    }
+});
+
+// The shape web-push expects
+pushSubscriptionSchema.methods.toWebPush = function() {
+    return {
+        endpoint: this.endpoint,
+        expirationTime: this.expirationTime ? this.expirationTime.getTime() : null,
+        keys: { p256dh: this.keys.p256dh, auth: this.keys.auth }
+    };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,60 @@
+// models/Quote.js
+const mongoose = require('mongoose');
+
+const quoteSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    worker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    estimatedDuration: {
+        type: Number, // in hours
+        required: true,
+        min: 0
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    status: {
+        type: String,
+        enum: ['submitted', 'shortlisted', 'awarded', 'declined', 'withdrawn'],
+        default: 'submitted'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    decidedAt: {
+        type: Date
+    }
+});
+
+// One quote per worker per job; resubmitting reuses the document
+quoteSchema.index({ job: 1, worker: 1 }, { unique: true });
+quoteSchema.index({ worker: 1, createdAt: -1 });
+
+// Quotes the client can still act on
+quoteSchema.statics.OPEN_STATUSES = ['submitted', 'shortlisted'];
+
+quoteSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,206 @@
+// models/Review.js
+const mongoose = require('mongoose');
+
+const SUB_SCORES = ['quality', 'punctuality', 'communication', 'value'];
+
+const scoreField = {
+    type: Number,
+    min: 1,
+    max: 5
+};
+
+const reportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['abusive', 'fake', 'spam', 'other'],
+        required: true
+    },
+    details: {
+        type: String,
+        maxlength: 1000
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const reviewSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reviewee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    direction: {
+        type: String,
+        enum: ['client_to_worker', 'worker_to_client'],
+        required: true
+    },
+    rating: {
+        ...scoreField,
+        required: true
+    },
+    scores: {
+        quality: scoreField,
+        punctuality: scoreField,
+        communication: scoreField,
+        value: scoreField
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    // Double-blind: hidden from the other side until both have reviewed or the window closes
+    revealed: {
+        type: Boolean,
+        default: false
+    },
+    revealedAt: {
+        type: Date
+    },
+    // Whether this review is currently included in the reviewee's aggregates
+    counted: {
+        type: Boolean,
+        default: false
+    },
+    // Public reply from the person who was reviewed
+    reply: {
+        body: {
+            type: String,
+            trim: true,
+            maxlength: 2000
+        },
+        createdAt: Date,
+        updatedAt: Date
+    },
+    reports: [reportSchema],
+    // visible: shown publicly; flagged: reported by users; held: caught by the
+    // content filter; removed: taken down by a moderator
+    moderationStatus: {
+        type: String,
+        enum: ['visible', 'flagged', 'held', 'removed'],
+        default: 'visible'
+    },
+    moderation: {
+        autoFlags: [String],
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date,
+        note: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+reviewSchema.index({ job: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, revealed: 1, createdAt: -1 });
+reviewSchema.index({ revealed: 1, job: 1 });
+reviewSchema.index({ moderationStatus: 1, createdAt: 1 });
+
+reviewSchema.statics.SUB_SCORES = SUB_SCORES;
+
+/**
+ * Add (sign = 1) or remove (sign = -1) a revealed review from the reviewee's
+ * rating aggregates. Sums and counts are kept per dimension so averages can be
+ * maintained without rescanning reviews.
+ */
+reviewSchema.statics.applyToAggregates = async function(review, sign = 1) {
+    const inc = {
+        'reviewStats.count': sign,
+        'reviewStats.ratingSum': sign * review.rating
+    };
+    SUB_SCORES.forEach(score => {
+        const value = review.scores && review.scores[score];
+        if (value) {
+            inc[`reviewStats.${score}Sum`] = sign * value;
+            inc[`reviewStats.${score}Count`] = sign;
+        }
+    });
+
+    const averages = {
+        rating: {
+            $cond: [
+                { $gt: ['$reviewStats.count', 0] },
+                { $round: [{ $divide: ['$reviewStats.ratingSum', '$reviewStats.count'] }, 2] },
+                0
+            ]
+        }
+    };
+
+    // Increment then recompute the average in the same atomic update
+    const pipeline = [
+        {
+            $set: Object.fromEntries(Object.entries(inc).map(([field, amount]) => [
+                field,
+                { $add: [{ $ifNull: [`$${field}`, 0] }, amount] }
+            ]))
+        },
+        { $set: averages }
+    ];
+
+    await mongoose.model('User').updateOne({ _id: review.reviewee }, pipeline);
+
+    if (review.direction === 'client_to_worker') {
+        await mongoose.model('Worker').updateOne({ user: review.reviewee }, pipeline);
+    }
+};
+
+/**
+ * Bring the reviewee's aggregates in line with this review: it counts only
+ * while it is revealed and publicly visible. The conditional update on
+ * `counted` guarantees each change is applied exactly once.
+ */
+reviewSchema.statics.syncAggregates = async function(reviewId) {
+    const review = await this.findById(reviewId);
+    if (!review) {
+        return;
+    }
+
+    const shouldCount = review.revealed && review.moderationStatus === 'visible';
+    if (shouldCount === review.counted) {
+        return;
+    }
+
+    const updated = await this.findOneAndUpdate(
+        { _id: review._id, counted: review.counted },
+        { $set: { counted: shouldCount } },
+        { new: true }
+    );
+    if (updated) {
+        await this.applyToAggregates(updated, shouldCount ? 1 : -1);
+    }
+};
+
+// Reveal the given reviews (if still hidden) and count them where visible
+reviewSchema.statics.reveal = async function(reviews) {
+    const now = new Date();
+    for (const review of reviews) {
+        await this.updateOne(
+            { _id: review._id, revealed: false },
+            { $set: { revealed: true, revealedAt: now } }
+        );
+        await this.syncAggregates(review._id);
+    }
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
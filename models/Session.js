@@ -0,0 +1,82 @@
+// models/Session.js
+const mongoose = require('mongoose');
+const realtime = require('../utils/realtime');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token secret; rotated on every refresh
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String
+    }
+});
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = async function(reason) {
+    if (!this.revokedAt) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+        await this.save();
+
+        // Open event streams on this session close themselves (routes/events.js)
+        await realtime.publish(this.user, 'session.revoked', { sessionId: this._id.toString(), reason });
+    }
+    return this;
+};
+
+// Revoke every active session for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    const result = await this.updateMany(query, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    if (result.modifiedCount > 0) {
+        await realtime.publish(userId, 'session.revoked', {
+            exceptSessionId: exceptSessionId ? exceptSessionId.toString() : null,
+            reason
+        });
+    }
+    return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,76 @@
+// models/Task.js
+const mongoose = require('mongoose');
+
+// queued -> running -> completed, or back to queued for a retry / the next
+// run of a recurring task; 'dead' once a task has used up its attempts
+const TASK_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const taskSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: TASK_STATUSES,
+        default: 'queued'
+    },
+    // Earliest time the task may run
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    // Recurring tasks are requeued this many ms after each run
+    repeatEveryMs: {
+        type: Number
+    },
+    // At most one task per key; used to avoid enqueueing the same work twice
+    uniqueKey: {
+        type: String
+    },
+    // Worker holding the task and until when; an expired lease can be taken over
+    lockedBy: {
+        type: String
+    },
+    lockedUntil: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    lastRunAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set when a task completes so finished tasks are cleaned up
+    expiresAt: {
+        type: Date
+    }
+});
+
+taskSchema.index({ status: 1, runAt: 1 });
+taskSchema.index({ status: 1, lockedUntil: 1 });
+taskSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+taskSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+taskSchema.statics.STATUSES = TASK_STATUSES;
+
+module.exports = mongoose.model('Task', taskSchema);
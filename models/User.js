@@ -22,9 +22,24 @@ const userSchema = new mongoose.Schema({
   userType: {
     type: String,
     required: true,
-    enum: ['client', 'worker'],
+    enum: ['client', 'worker', 'admin'],
     default: 'client'
   },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspendedReason: {
+    type: String
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   phone: {
     type: String
   },
@@ -42,6 +57,75 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Running sums/counts of revealed reviews; `rating` is derived from them (see models/Review.js)
+  reviewStats: {
+    count: { type: Number, default: 0 },
+    ratingSum: { type: Number, default: 0 },
+    qualitySum: { type: Number, default: 0 },
+    qualityCount: { type: Number, default: 0 },
+    punctualitySum: { type: Number, default: 0 },
+    punctualityCount: { type: Number, default: 0 },
+    communicationSum: { type: Number, default: 0 },
+    communicationCount: { type: Number, default: 0 },
+    valueSum: { type: Number, default: 0 },
+    valueCount: { type: Number, default: 0 }
+  },
+  // Accounts older than verification are backfilled by `npm run migrate:email-verified`
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Hashes of the outstanding single-use token nonces (see utils/tokens.js)
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Hash of the secret in the user's calendar feed URL (see utils/tokens.js)
+  calendarFeedTokenHash: {
+    type: String,
+    select: false
+  },
+  // IANA time zone, used for quiet hours and availability
+  timeZone: {
+    type: String,
+    default: process.env.DEFAULT_TIME_ZONE || 'UTC'
+  },
+  // What the user wants to hear about and how (see utils/notificationPreferences.js)
+  notificationPreferences: {
+    types: {
+      new_job: { type: Boolean, default: true },
+      job_update: { type: Boolean, default: true },
+      payment: { type: Boolean, default: true },
+      message: { type: Boolean, default: true }
+    },
+    channels: {
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+      sms: { type: Boolean, default: false }
+    },
+    // New-job alerts only: limit to these categories (empty means all) and budgets
+    categories: [String],
+    minBudget: {
+      type: Number,
+      default: 0
+    },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' },
+      end: { type: String, default: '07:00' }
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
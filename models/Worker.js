@@ -1,26 +1,41 @@
 const mongoose = require('mongoose');
 
-const notificationSchema = new mongoose.Schema({
-    type: {
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring weekly slot in the worker's own time zone (User.timeZone).
+// An end at or before the start means the slot runs past midnight.
+const availabilitySlotSchema = new mongoose.Schema({
+    day: {
+        type: Number, // 0 = Sunday
+        required: true,
+        min: 0,
+        max: 6
+    },
+    start: {
         type: String,
         required: true,
-        enum: ['new_job', 'job_update', 'payment', 'message']
+        match: TIME_PATTERN
     },
-    message: {
+    end: {
         type: String,
+        required: true,
+        match: TIME_PATTERN
+    }
+}, { _id: false });
+
+const timeOffSchema = new mongoose.Schema({
+    start: {
+        type: Date,
         required: true
     },
-    job: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Job'
-    },
-    isRead: {
-        type: Boolean,
-        default: false
-    },
-    createdAt: {
+    end: {
         type: Date,
-        default: Date.now
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 200
     }
 });
 
@@ -32,7 +47,9 @@ const workerSchema = new mongoose.Schema({
     },
     skills: [{
         type: String,
-        required: true
+        required: true,
+        lowercase: true,
+        trim: true
     }],
     serviceRadius: {
         type: Number,
@@ -49,7 +66,6 @@ const workerSchema = new mongoose.Schema({
             required: true
         }
     },
-    notifications: [notificationSchema],
     city: String,
     rating: {
         type: Number,
@@ -59,6 +75,19 @@ const workerSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Mirrors User.reviewStats for reviews received as a worker
+    reviewStats: {
+        count: { type: Number, default: 0 },
+        ratingSum: { type: Number, default: 0 },
+        qualitySum: { type: Number, default: 0 },
+        qualityCount: { type: Number, default: 0 },
+        punctualitySum: { type: Number, default: 0 },
+        punctualityCount: { type: Number, default: 0 },
+        communicationSum: { type: Number, default: 0 },
+        communicationCount: { type: Number, default: 0 },
+        valueSum: { type: Number, default: 0 },
+        valueCount: { type: Number, default: 0 }
+    },
     categories: [{
         type: String,
         enum: [
@@ -76,7 +105,10 @@ const workerSchema = new mongoose.Schema({
             'general'
         ],
         default: ['general']
-    }]
+    }],
+    // When the worker takes jobs; empty means any time
+    weeklyAvailability: [availabilitySlotSchema],
+    timeOff: [timeOffSchema]
 });
 
 // Add geospatial index - this is critical for location queries
@@ -103,4 +135,6 @@ workerSchema.pre('save', function(next) {
     next();
 });
 
+workerSchema.statics.TIME_PATTERN = TIME_PATTERN;
+
 module.exports = mongoose.model('Worker', workerSchema);
\ No newline at end of file
@@ -0,0 +1,471 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const User = require('../models/User');
+const Worker = require('../models/Worker');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Review = require('../models/Review');
+const Task = require('../models/Task');
+const { recordAudit } = require('../utils/audit');
+const { getQueueStats } = require('../utils/queue');
+
+// Every admin route requires an authenticated admin
+router.use(auth, requireRole('admin'));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPagination = (query) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const suspendUser = async (req, user, reason) => {
+    user.status = 'suspended';
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason;
+    user.suspendedBy = req.user._id;
+    await user.save();
+
+    // Kick the user off every device immediately
+    await Session.revokeAllForUser(user._id, 'suspended');
+};
+
+const reinstateUser = async (user) => {
+    user.status = 'active';
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+};
+
+// List and search users
+router.get('/users', async (req, res) => {
+    try {
+        const { q, userType, status } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = {};
+        if (q) {
+            const pattern = new RegExp(escapeRegex(String(q)), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+        }
+        if (userType) query.userType = String(userType);
+        if (status) query.status = String(status);
+
+        const [users, total] = await Promise.all([
+            User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            User.countDocuments(query)
+        ]);
+
+        res.json({ users, total, page, limit });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get a single user with their worker profile, if any
+router.get('/users/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid user ID' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const worker = user.userType === 'worker'
+            ? await Worker.findOne({ user: user._id })
+            : null;
+
+        res.json({ user, worker });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Suspend a user
+router.post('/users/:id/suspend', async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (user.userType === 'admin') {
+            return res.status(400).json({ message: 'Admins cannot be suspended' });
+        }
+
+        if (user.status === 'suspended') {
+            return res.status(400).json({ message: 'User is already suspended' });
+        }
+
+        await suspendUser(req, user, reason);
+        await recordAudit(req, { action: 'user.suspend', targetType: 'User', targetId: user._id, reason });
+
+        res.json({ message: 'User suspended', user });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Reinstate a suspended user
+router.post('/users/:id/reinstate', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (user.status !== 'suspended') {
+            return res.status(400).json({ message: 'User is not suspended' });
+        }
+
+        await reinstateUser(user);
+        await recordAudit(req, {
+            action: 'user.reinstate',
+            targetType: 'User',
+            targetId: user._id,
+            reason: req.body.reason
+        });
+
+        res.json({ message: 'User reinstated', user });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// List and search workers
+router.get('/workers', async (req, res) => {
+    try {
+        const { q, category, status, city } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = {};
+        if (category) query.categories = String(category);
+        if (city) query.city = new RegExp(escapeRegex(String(city)), 'i');
+
+        // Name/email/status live on the user, so resolve matching users first
+        if (q || status) {
+            const userQuery = { userType: 'worker' };
+            if (q) {
+                const pattern = new RegExp(escapeRegex(String(q)), 'i');
+                userQuery.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+            }
+            if (status) userQuery.status = String(status);
+
+            const userIds = await User.find(userQuery).distinct('_id');
+            query.user = { $in: userIds };
+        }
+
+        const [workers, total] = await Promise.all([
+            Worker.find(query)
+                .populate('user', 'name email phone status rating completedJobs')
+                .skip(skip)
+                .limit(limit),
+            Worker.countDocuments(query)
+        ]);
+
+        res.json({ workers, total, page, limit });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Suspend a worker (suspends the underlying user account)
+router.post('/workers/:id/suspend', async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required' });
+        }
+
+        const worker = await Worker.findById(req.params.id);
+        if (!worker) {
+            return res.status(404).json({ message: 'Worker not found' });
+        }
+
+        const user = await User.findById(worker.user);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (user.status === 'suspended') {
+            return res.status(400).json({ message: 'Worker is already suspended' });
+        }
+
+        await suspendUser(req, user, reason);
+        await recordAudit(req, {
+            action: 'user.suspend',
+            targetType: 'Worker',
+            targetId: worker._id,
+            reason,
+            metadata: { user: user._id }
+        });
+
+        res.json({ message: 'Worker suspended' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Reinstate a suspended worker
+router.post('/workers/:id/reinstate', async (req, res) => {
+    try {
+        const worker = await Worker.findById(req.params.id);
+        if (!worker) {
+            return res.status(404).json({ message: 'Worker not found' });
+        }
+
+        const user = await User.findById(worker.user);
+        if (!user || user.status !== 'suspended') {
+            return res.status(400).json({ message: 'Worker is not suspended' });
+        }
+
+        await reinstateUser(user);
+        await recordAudit(req, {
+            action: 'user.reinstate',
+            targetType: 'Worker',
+            targetId: worker._id,
+            reason: req.body.reason,
+            metadata: { user: user._id }
+        });
+
+        res.json({ message: 'Worker reinstated' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Force-cancel a pending or in-progress job
+router.post('/jobs/:id/cancel', async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required' });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const previousStatus = job.status;
+        const cancelled = await Job.transition(job, 'cancelled', {
+            actor: req.user,
+            role: 'admin',
+            reason
+        });
+
+        await recordAudit(req, {
+            action: 'job.force_cancel',
+            targetType: 'Job',
+            targetId: job._id,
+            reason,
+            metadata: { previousStatus }
+        });
+
+        res.json({ message: 'Job cancelled', job: cancelled });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Moderation queue: reviews reported by users or held by the content filter
+router.get('/reviews/moderation', async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req.query);
+        const statuses = req.query.status ? [String(req.query.status)] : ['flagged', 'held'];
+        const query = { moderationStatus: { $in: statuses } };
+
+        const [reviews, total] = await Promise.all([
+            Review.find(query)
+                .populate('reviewer', 'name email')
+                .populate('reviewee', 'name email')
+                .populate('job', 'title')
+                .populate('reports.reporter', 'name')
+                .sort({ createdAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            Review.countDocuments(query)
+        ]);
+
+        res.json({ reviews, total, page, limit });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Resolve a queued review: approve makes it visible, remove takes it down
+router.post('/reviews/:id/:decision(approve|remove)', async (req, res) => {
+    try {
+        const { decision } = req.params;
+        const { note } = req.body;
+
+        if (decision === 'remove' && !note) {
+            return res.status(400).json({ message: 'A note is required to remove a review' });
+        }
+
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.moderationStatus === 'removed') {
+            return res.status(400).json({ message: 'Review has already been removed' });
+        }
+
+        review.moderationStatus = decision === 'approve' ? 'visible' : 'removed';
+        review.set('moderation.resolvedBy', req.user._id);
+        review.set('moderation.resolvedAt', new Date());
+        review.set('moderation.note', note);
+        await review.save();
+        await Review.syncAggregates(review._id);
+
+        await recordAudit(req, {
+            action: decision === 'approve' ? 'review.approve' : 'review.remove',
+            targetType: 'Review',
+            targetId: review._id,
+            reason: note,
+            metadata: { reports: review.reports.length, autoFlags: review.moderation.autoFlags }
+        });
+
+        res.json(review);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Delete an abusive review and take it out of the reviewee's rating
+router.delete('/reviews/:id', async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required' });
+        }
+
+        const review = await Review.findOneAndDelete({ _id: req.params.id });
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.counted) {
+            await Review.applyToAggregates(review, -1);
+        }
+
+        await recordAudit(req, {
+            action: 'review.delete',
+            targetType: 'Review',
+            targetId: review._id,
+            reason,
+            metadata: {
+                job: review.job,
+                reviewer: review.reviewer,
+                reviewee: review.reviewee,
+                rating: review.rating,
+                comment: review.comment
+            }
+        });
+
+        res.json({ message: 'Review deleted' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Background task queue: counts per task and status, plus the latest tasks
+router.get('/tasks', async (req, res) => {
+    try {
+        const { name, status } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = {};
+        if (name) query.name = String(name);
+        if (status) query.status = String(status);
+
+        const [stats, tasks, total] = await Promise.all([
+            getQueueStats(),
+            Task.find(query).sort({ runAt: -1 }).skip(skip).limit(limit),
+            Task.countDocuments(query)
+        ]);
+
+        res.json({ stats, tasks, total, page, limit });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Put a dead task back on the queue
+router.post('/tasks/:id/retry', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid task ID' });
+        }
+
+        const task = await Task.findOneAndUpdate(
+            { _id: req.params.id, status: 'dead' },
+            { $set: { status: 'queued', runAt: new Date(), attempts: 0 } },
+            { new: true }
+        );
+
+        if (!task) {
+            return res.status(404).json({ message: 'Dead task not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'task.retry',
+            targetType: 'Task',
+            targetId: task._id,
+            reason: req.body.reason,
+            metadata: { name: task.name, lastError: task.lastError }
+        });
+
+        res.json(task);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Browse the audit trail
+router.get('/audit-logs', async (req, res) => {
+    try {
+        const { actor, action, targetType, targetId } = req.query;
+        const { page, limit, skip } = getPagination(req.query);
+
+        const query = {};
+        if (actor) query.actor = String(actor);
+        if (action) query.action = String(action);
+        if (targetType) query.targetType = String(targetType);
+        if (targetId) query.targetId = String(targetId);
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({ logs, total, page, limit });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
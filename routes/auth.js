@@ -1,9 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
-const bcrypt = require('bcryptjs');
+const { createSession, rotateSession, createActionToken, consumeActionToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mail');
+const mailTemplates = require('../utils/mail/templates');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Email a fresh verification link; failures are logged, not surfaced
+const sendVerificationEmail = async (user) => {
+    try {
+        const token = await createActionToken(user, 'verify_email');
+        await sendMail(mailTemplates.verifyEmail(user, token));
+    } catch (error) {
+        console.error(`Failed to send verification email to ${user.email}:`, error);
+    }
+};
 
 // Register route
 router.post('/register', async (req, res) => {
@@ -14,22 +28,26 @@ router.post('/register', async (req, res) => {
             return res.status(400).json({ message: 'Email already registered' });
         }
 
-        // Create new user
-        const user = new User(req.body);
+        // Admin accounts can't be self-registered (see createAdmin.js)
+        if (req.body.userType === 'admin') {
+            return res.status(400).json({ message: 'Invalid user type' });
+        }
+
+        // Create new user from the fields a user may set themselves
+        const { name, email, password, userType, phone, address, city } = req.body;
+        const user = new User({ name, email, password, userType, phone, address, city });
         await user.save();
 
-        // Generate token
-        const token = jwt.sign(
-            { _id: user._id.toString() },
-            process.env.JWT_SECRET || 'fallback_secret_for_development',
-            { expiresIn: '7d' }
-        );
+        await sendVerificationEmail(user);
+
+        // Start a session for this device
+        const { token, refreshToken } = await createSession(user, req);
 
         // Return user without password
         const userObj = user.toObject();
         delete userObj.password;
 
-        res.status(201).json({ user: userObj, token });
+        res.status(201).json({ user: userObj, token, refreshToken });
     } catch (error) {
         console.error('Registration error:', error);
         res.status(400).json({ message: error.message });
@@ -58,18 +76,18 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ message: 'Invalid email or password' });
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { _id: user._id.toString() },
-            process.env.JWT_SECRET || 'fallback_secret_for_development',
-            { expiresIn: '7d' }
-        );
+        if (user.status === 'suspended') {
+            return res.status(403).json({ message: 'Your account has been suspended', suspended: true });
+        }
+
+        // Start a session for this device
+        const { token, refreshToken } = await createSession(user, req);
 
         // Return user without password
         const userObj = user.toObject();
         delete userObj.password;
 
-        res.json({ user: userObj, token });
+        res.json({ user: userObj, token, refreshToken });
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ message: 'Server error during login' });
@@ -89,14 +107,182 @@ router.get('/profile', auth, async (req, res) => {
     }
 });
 
-// Logout route
+// Confirm an email address from the link in the verification email
+router.post('/verify-email', async (req, res) => {
+    try {
+        const user = await consumeActionToken(req.body.token, 'verify_email');
+
+        if (!user) {
+            return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ message: 'Server error during email verification' });
+    }
+});
+
+// Send another verification email to the logged-in user
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ message: 'Email is already verified' });
+        }
+
+        await sendVerificationEmail(req.user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Request a password reset link
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+        // Same response whether or not the account exists, so emails can't be enumerated
+        if (user) {
+            const token = await createActionToken(user, 'reset_password');
+            try {
+                await sendMail(mailTemplates.resetPassword(user, token));
+            } catch (error) {
+                console.error(`Failed to send password reset email to ${user.email}:`, error);
+            }
+        }
+
+        res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Server error during password reset request' });
+    }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const user = await consumeActionToken(token, 'reset_password');
+
+        if (!user) {
+            return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+        }
+
+        user.password = password;
+        user.passwordChangedAt = new Date();
+        // Receiving the link proves ownership of the mailbox
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        // Sign out every device that used the old password
+        await Session.revokeAllForUser(user._id, 'password_reset');
+
+        res.json({ message: 'Password has been reset, please login again' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Server error during password reset' });
+    }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+    try {
+        const result = await rotateSession(req.body.refreshToken);
+
+        if (!result) {
+            return res.status(401).json({ message: 'Invalid refresh token, please login again' });
+        }
+
+        res.json({ token: result.token, refreshToken: result.refreshToken });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: 'Server error during token refresh' });
+    }
+});
+
+// Logout route - revokes the current device's session
 router.post('/logout', auth, async (req, res) => {
     try {
+        await req.authSession.revoke('logout');
         res.json({ message: 'Logged out successfully' });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
+// Logout from every device
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const count = await Session.revokeAllForUser(req.user._id, 'logout_all');
+        res.json({ message: 'Logged out from all devices', sessionsRevoked: count });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// List active sessions (devices) for the current user
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json(sessions.map(session => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: session._id.equals(req.authSession._id)
+        })));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Logout a single device
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        await session.revoke('logout_device');
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
 // Export the router
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,94 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/ical');
+const { createCalendarFeedToken, findUserByCalendarFeedToken } = require('../utils/tokens');
+
+// How far back the feed goes; older jobs drop out of subscribed calendars
+const FEED_HISTORY_DAYS = parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS, 10) || 90;
+const FEED_MAX_EVENTS = 1000;
+
+const sendCalendar = (res, body, filename) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) {
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.send(body);
+};
+
+// Create (or replace) the user's calendar feed URL. The URL is only shown
+// once; replacing it stops the old one from working.
+router.post('/feed', auth, async (req, res) => {
+    try {
+        const token = await createCalendarFeedToken(req.user);
+        const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+
+        res.status(201).json({
+            url,
+            webcalUrl: url.replace(/^https?:/, 'webcal:')
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Turn the calendar feed off
+router.delete('/feed', auth, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedTokenHash: 1 } });
+        res.json({ message: 'Calendar feed disabled' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// The feed itself, polled by calendar apps: jobs the user posted or is assigned to.
+// The secret token in the URL stands in for the login.
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const user = await findUserByCalendarFeedToken(req.params.token);
+        if (!user) {
+            return res.status(404).json({ message: 'Calendar feed not found' });
+        }
+
+        const jobs = await Job.find({
+            $or: [{ user: user._id }, { worker: user._id }],
+            startsAt: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+        })
+            .sort({ startsAt: 1 })
+            .limit(FEED_MAX_EVENTS);
+
+        res.set('Cache-Control', 'private, max-age=300');
+        sendCalendar(res, buildCalendar(jobs, user, { name: 'My jobs' }));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// One-off download of a single job for the client or the assigned worker
+router.get('/jobs/:id.ics', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid job ID' });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const userId = req.user._id.toString();
+        if (job.user.toString() !== userId && (!job.worker || job.worker.toString() !== userId)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        sendCalendar(res, buildCalendar([job], req.user), `job-${job._id}.ics`);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
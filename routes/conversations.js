@@ -0,0 +1,269 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { deleteFile } = require('../utils/fileUpload');
+const { maskContactInfo } = require('../utils/contentFilter');
+const { sendNotificationToUser } = require('../utils/notifications');
+const realtime = require('../utils/realtime');
+
+const MAX_ATTACHMENTS = 5;
+
+// Job statuses in which the assigned worker and client may see each other's contact details
+const CONTACT_UNLOCKED_STATUSES = ['in progress', 'awaiting confirmation', 'disputed', 'completed'];
+
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(`/uploads/${file.filename}`)));
+
+// Contact details stay masked until this conversation's worker has been given the job
+const isContactUnlocked = (job, conversation) => Boolean(
+    job && job.worker &&
+    job.worker.toString() === conversation.worker.toString() &&
+    CONTACT_UNLOCKED_STATUSES.includes(job.status)
+);
+
+const presentMessage = (message, unlocked) => {
+    const obj = message.toObject ? message.toObject() : message;
+    if (!unlocked) {
+        obj.body = maskContactInfo(obj.body);
+    }
+    return obj;
+};
+
+// Load the conversation and make sure the user takes part in it
+const loadConversation = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Invalid conversation ID' });
+        }
+
+        const conversation = await Conversation.findById(req.params.id);
+        const side = conversation && conversation.sideOf(req.user);
+
+        if (!side) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Conversation not found' });
+        }
+
+        req.conversation = conversation;
+        req.side = side;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// List the user's conversations, most recent first
+router.get('/', auth, async (req, res) => {
+    try {
+        const conversations = await Conversation.find({
+            $or: [{ client: req.user._id }, { worker: req.user._id }]
+        })
+            .populate('job', 'title status worker')
+            .populate('client', 'name')
+            .populate('worker', 'name rating')
+            .sort({ lastMessageAt: -1, createdAt: -1 });
+
+        res.json(conversations.map(conversation => {
+            const obj = conversation.toObject();
+            const side = conversation.client._id.equals(req.user._id) ? 'client' : 'worker';
+            obj.unreadCount = conversation.unread[side] || 0;
+            if (!isContactUnlocked(conversation.job, { worker: conversation.worker._id })) {
+                obj.lastMessagePreview = maskContactInfo(obj.lastMessagePreview);
+            }
+            return obj;
+        }));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Total unread messages across all conversations
+router.get('/unread-count', auth, async (req, res) => {
+    try {
+        const [result] = await Conversation.aggregate([
+            { $match: { $or: [{ client: req.user._id }, { worker: req.user._id }] } },
+            {
+                $group: {
+                    _id: null,
+                    count: {
+                        $sum: { $cond: [{ $eq: ['$client', req.user._id] }, '$unread.client', '$unread.worker'] }
+                    }
+                }
+            }
+        ]);
+
+        res.json({ unreadCount: result ? result.count : 0 });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Start (or reopen) the conversation about a job. Workers can start one on a
+// pending job or a job assigned to them; clients with a worker who quoted or
+// is assigned.
+router.post('/', auth, async (req, res) => {
+    try {
+        const { jobId, workerId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId)) {
+            return res.status(400).json({ message: 'Invalid job ID' });
+        }
+
+        const job = await Job.findById(jobId);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        let worker;
+        if (req.user.userType === 'worker') {
+            const isAssigned = job.worker && job.worker.toString() === req.user._id.toString();
+            if (!isAssigned && (job.status !== 'pending' || job.worker)) {
+                return res.status(400).json({ message: 'This job is no longer open for questions' });
+            }
+            worker = req.user._id;
+        } else if (job.user.toString() === req.user._id.toString()) {
+            if (!mongoose.Types.ObjectId.isValid(workerId)) {
+                return res.status(400).json({ message: 'A valid workerId is required' });
+            }
+            const isAssigned = job.worker && job.worker.toString() === workerId;
+            const hasQuoted = await Quote.exists({ job: job._id, worker: workerId });
+            const existing = await Conversation.exists({ job: job._id, worker: workerId });
+            if (!isAssigned && !hasQuoted && !existing) {
+                return res.status(400).json({ message: 'You can only message workers who are interested in this job' });
+            }
+            worker = workerId;
+        } else {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const conversation = await Conversation.findOneAndUpdate(
+            { job: job._id, worker },
+            { $setOnInsert: { job: job._id, worker, client: job.user } },
+            { new: true, upsert: true }
+        );
+
+        res.status(201).json(conversation);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Get messages, newest first; pass `before` (ISO date) to page back
+router.get('/:id/messages', auth, loadConversation, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+        const query = { conversation: req.conversation._id };
+
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (isNaN(before)) {
+                return res.status(400).json({ message: 'Invalid before cursor' });
+            }
+            query.createdAt = { $lt: before };
+        }
+
+        const [messages, job] = await Promise.all([
+            Message.find(query).sort({ createdAt: -1 }).limit(limit),
+            Job.findById(req.conversation.job).select('status worker')
+        ]);
+
+        const unlocked = isContactUnlocked(job, req.conversation);
+
+        res.json({
+            messages: messages.map(message => presentMessage(message, unlocked)),
+            contactDetailsVisible: unlocked,
+            nextCursor: messages.length === limit ? messages[messages.length - 1].createdAt : null
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Send a message with optional image attachments
+router.post('/:id/messages', auth, upload.array('attachments', MAX_ATTACHMENTS), loadConversation, async (req, res) => {
+    try {
+        const { conversation, side } = req;
+        const job = await Job.findById(conversation.job).select('title status worker');
+
+        if (!job || job.status === 'cancelled') {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'This conversation is closed' });
+        }
+
+        const message = await Message.create({
+            conversation: conversation._id,
+            sender: req.user._id,
+            body: req.body.body,
+            attachments: (req.files || []).map(file => `/uploads/${file.filename}`)
+        });
+
+        const otherSide = side === 'client' ? 'worker' : 'client';
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            {
+                $inc: { [`unread.${otherSide}`]: 1 },
+                $set: {
+                    lastMessageAt: message.createdAt,
+                    lastMessagePreview: message.body ? message.body.slice(0, 120) : '[image]'
+                }
+            }
+        );
+
+        const unlocked = isContactUnlocked(job, conversation);
+
+        await realtime.publish(conversation[otherSide], 'message.new', {
+            conversationId: conversation._id.toString(),
+            jobId: conversation.job.toString(),
+            message: presentMessage(message, unlocked)
+        });
+
+        await sendNotificationToUser(conversation[otherSide], {
+            type: 'message',
+            job: conversation.job,
+            title: 'New Message',
+            message: `New message about "${job.title}"`
+        });
+
+        res.status(201).json(presentMessage(message, unlocked));
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Mark everything the other side sent as read
+router.post('/:id/read', auth, loadConversation, async (req, res) => {
+    try {
+        const now = new Date();
+        const result = await Message.updateMany(
+            { conversation: req.conversation._id, sender: { $ne: req.user._id }, readAt: null },
+            { $set: { readAt: now } }
+        );
+
+        await Conversation.updateOne(
+            { _id: req.conversation._id },
+            { $set: { [`unread.${req.side}`]: 0 } }
+        );
+
+        // Read receipt for the other participant
+        if (result.modifiedCount > 0) {
+            const otherSide = req.side === 'client' ? 'worker' : 'client';
+            await realtime.publish(req.conversation[otherSide], 'message.read', {
+                conversationId: req.conversation._id.toString(),
+                readAt: now
+            });
+        }
+
+        res.json({ markedRead: result.modifiedCount, readAt: now });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const upload = require('../middleware/upload');
+const Job = require('../models/Job');
+const Dispute = require('../models/Dispute');
+const { deleteFile } = require('../utils/fileUpload');
+const { openDispute } = require('../utils/disputes');
+const { recordAudit } = require('../utils/audit');
+const { sendNotificationToUser } = require('../utils/notifications');
+
+const MAX_ATTACHMENTS = 5;
+
+const uploadedUrls = (files) => (files || []).map(file => `/uploads/${file.filename}`);
+
+const discardUploads = (files) => Promise.all(uploadedUrls(files).map(url => deleteFile(url)));
+
+// Load the dispute and make sure the user is a party to it (or an admin)
+const loadDispute = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Invalid dispute ID' });
+        }
+
+        const dispute = await Dispute.findById(req.params.id);
+        if (!dispute) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Dispute not found' });
+        }
+
+        const role = dispute.roleOf(req.user);
+        if (!role) {
+            await discardUploads(req.files);
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        req.dispute = dispute;
+        req.disputeRole = role;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Open a dispute on a job
+router.post('/', auth, upload.array('evidence', MAX_ATTACHMENTS), async (req, res) => {
+    try {
+        const { jobId, reason, description } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId)) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Invalid job ID' });
+        }
+
+        const job = await Job.findById(jobId);
+        if (!job) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const result = await openDispute(job, req.user, {
+            reason,
+            description,
+            evidence: uploadedUrls(req.files)
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// List disputes: parties see their own, admins see everything
+router.get('/', auth, async (req, res) => {
+    try {
+        const query = {};
+
+        if (req.user.userType !== 'admin') {
+            query.$or = [{ client: req.user._id }, { worker: req.user._id }];
+        }
+        if (req.query.status) {
+            query.status = String(req.query.status);
+        }
+        if (req.query.jobId) {
+            query.job = String(req.query.jobId);
+        }
+
+        const disputes = await Dispute.find(query)
+            .select('-messages')
+            .populate('job', 'title status')
+            .populate('client', 'name')
+            .populate('worker', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json(disputes);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get a dispute with its message thread
+router.get('/:id', auth, loadDispute, async (req, res) => {
+    try {
+        await req.dispute.populate([
+            { path: 'job', select: 'title status completion' },
+            { path: 'client', select: 'name' },
+            { path: 'worker', select: 'name' },
+            { path: 'messages.author', select: 'name userType' }
+        ]);
+
+        res.json(req.dispute);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Post a message (optionally with attachments) to the dispute thread
+router.post('/:id/messages', auth, upload.array('attachments', MAX_ATTACHMENTS), loadDispute, async (req, res) => {
+    try {
+        if (!req.dispute.isActive()) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'This dispute is closed' });
+        }
+
+        if (!req.body.body) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Message body is required' });
+        }
+
+        req.dispute.messages.push({
+            author: req.user._id,
+            authorRole: req.disputeRole,
+            body: req.body.body,
+            attachments: uploadedUrls(req.files)
+        });
+        await req.dispute.save();
+
+        // Let the other parties know (admins follow the queue instead)
+        const recipients = [req.dispute.client, req.dispute.worker]
+            .filter(userId => userId.toString() !== req.user._id.toString());
+
+        await Promise.all(recipients.map(userId => sendNotificationToUser(userId, {
+            type: 'message',
+            job: req.dispute.job,
+            title: 'New Dispute Message',
+            message: 'There is a new message on your dispute'
+        })));
+
+        res.status(201).json(req.dispute.messages[req.dispute.messages.length - 1]);
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Add more evidence to an active dispute
+router.post('/:id/evidence', auth, upload.array('evidence', MAX_ATTACHMENTS), loadDispute, async (req, res) => {
+    try {
+        if (!req.dispute.isActive()) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'This dispute is closed' });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ message: 'No evidence uploaded' });
+        }
+
+        uploadedUrls(req.files).forEach(url => {
+            req.dispute.evidence.push({ url, uploadedBy: req.user._id });
+        });
+        await req.dispute.save();
+
+        res.status(201).json(req.dispute.evidence);
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Opener withdraws their dispute
+router.post('/:id/withdraw', auth, loadDispute, async (req, res) => {
+    try {
+        const { dispute } = req;
+
+        if (dispute.openedBy.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Only the person who opened the dispute can withdraw it' });
+        }
+
+        if (!dispute.isActive()) {
+            return res.status(400).json({ message: 'This dispute is already closed' });
+        }
+
+        const job = await Job.findById(dispute.job);
+
+        // Withdrawing a dispute about a submitted completion accepts that completion
+        if (job.status === 'disputed') {
+            await Job.transition(job, 'completed', {
+                actor: req.user,
+                reason: 'Dispute withdrawn',
+                dispute
+            });
+        } else {
+            await Job.updateOne({ _id: job._id, activeDispute: dispute._id }, { $unset: { activeDispute: 1 } });
+        }
+
+        dispute.status = 'withdrawn';
+        await dispute.save();
+
+        res.json(dispute);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Admin picks up a dispute
+router.post('/:id/start-review', auth, requireRole('admin'), loadDispute, async (req, res) => {
+    try {
+        const { dispute } = req;
+
+        if (dispute.status !== 'open') {
+            return res.status(400).json({ message: 'Only open disputes can be taken under review' });
+        }
+
+        dispute.status = 'under review';
+        dispute.assignedAdmin = req.user._id;
+        await dispute.save();
+
+        await recordAudit(req, {
+            action: 'dispute.start_review',
+            targetType: 'Dispute',
+            targetId: dispute._id
+        });
+
+        res.json(dispute);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Admin resolves a dispute in favor of one side and unfreezes the job.
+// By default a worker win completes the job and a client win cancels it;
+// `jobStatus` overrides that (e.g. 'in progress' to have the work redone).
+router.post('/:id/resolve', auth, requireRole('admin'), loadDispute, async (req, res) => {
+    try {
+        const { dispute } = req;
+        const { outcome, notes } = req.body;
+
+        if (!['client', 'worker'].includes(outcome)) {
+            return res.status(400).json({ message: "Outcome must be 'client' or 'worker'" });
+        }
+
+        if (!notes) {
+            return res.status(400).json({ message: 'Resolution notes are required' });
+        }
+
+        if (!dispute.isActive()) {
+            return res.status(400).json({ message: 'This dispute is already closed' });
+        }
+
+        const job = await Job.findById(dispute.job);
+        const allowed = Job.STATUS_TRANSITIONS[job.status] || {};
+        const defaultStatus = outcome === 'worker' ? 'completed' : 'cancelled';
+        const jobStatus = req.body.jobStatus || (allowed[defaultStatus] ? defaultStatus : job.status);
+
+        let resolvedJob;
+        if (jobStatus === job.status) {
+            resolvedJob = await Job.findOneAndUpdate(
+                { _id: job._id, activeDispute: dispute._id },
+                { $unset: { activeDispute: 1 } },
+                { new: true }
+            );
+            // Another admin resolved it first; the transition below fails the same way
+            if (!resolvedJob) {
+                return res.status(409).json({ message: 'Job was updated by someone else, please refresh and try again' });
+            }
+        } else {
+            resolvedJob = await Job.transition(job, jobStatus, {
+                actor: req.user,
+                role: 'admin',
+                reason: `Dispute resolved for ${outcome}: ${notes}`,
+                dispute
+            });
+        }
+
+        dispute.status = outcome === 'worker' ? 'resolved for worker' : 'resolved for client';
+        dispute.resolution = {
+            notes,
+            jobStatus,
+            resolvedBy: req.user._id,
+            resolvedAt: new Date()
+        };
+        await dispute.save();
+
+        await recordAudit(req, {
+            action: 'dispute.resolve',
+            targetType: 'Dispute',
+            targetId: dispute._id,
+            reason: notes,
+            metadata: { outcome, job: job._id, jobStatus }
+        });
+
+        await Promise.all([dispute.client, dispute.worker].map(userId => sendNotificationToUser(userId, {
+            type: 'job_update',
+            job,
+            title: 'Dispute Resolved',
+            message: `The dispute on "${job.title}" was resolved in favor of the ${outcome}`
+        })));
+
+        res.json({ dispute, job: resolvedJob });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
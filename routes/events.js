@@ -0,0 +1,96 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { subscribe, getEventsSince } = require('../utils/realtime');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// EventSource can't set headers, so also accept the access token as a query parameter
+const tokenFromQuery = (req, res, next) => {
+    if (!req.header('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// Whether a session.revoked event covers the stream's session
+const revokesSession = (data, sessionId) => (data.sessionId
+    ? data.sessionId === sessionId
+    : data.exceptSessionId !== sessionId);
+
+const writeEvent = (res, envelope) => {
+    res.write(`id: ${envelope.id}\n`);
+    res.write(`event: ${envelope.type}\n`);
+    res.write(`data: ${JSON.stringify(envelope.data)}\n\n`);
+};
+
+// Server-Sent Events stream of the user's events. Optional `types` query
+// (comma separated prefixes, e.g. `job,message`) narrows what is sent.
+// Reconnecting clients send Last-Event-ID and get what they missed.
+// The stream ends when its session is revoked (logout, suspension, password
+// reset) or its access token expires; the client reconnects with a fresh token.
+router.get('/stream', tokenFromQuery, auth, (req, res) => {
+    const sessionId = req.authSession._id.toString();
+    const types = req.query.types
+        ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+        : null;
+    const wanted = (envelope) => !types || types.some(type => envelope.type.startsWith(type));
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    getEventsSince(req.user._id, lastEventId)
+        .filter(wanted)
+        .forEach(envelope => writeEvent(res, envelope));
+
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let expiryTimer = null;
+
+    const cleanUp = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        unsubscribe();
+    };
+
+    // No id line: the client's resume point stays on the last real event
+    const close = (type, data) => {
+        res.write(`event: ${type}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+        cleanUp();
+        res.end();
+    };
+
+    unsubscribe = subscribe(req.user._id, (envelope) => {
+        if (envelope.type === 'session.revoked' && revokesSession(envelope.data, sessionId)) {
+            close('session.revoked', envelope.data);
+        } else if (wanted(envelope)) {
+            writeEvent(res, envelope);
+        }
+    });
+
+    heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const { exp } = jwt.decode(req.token) || {};
+    if (exp) {
+        expiryTimer = setTimeout(
+            () => close('session.expired', {}),
+            Math.min(Math.max(exp * 1000 - Date.now(), 0), MAX_TIMER_MS)
+        );
+    }
+
+    req.on('close', cleanUp);
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const requireVerified = require('../middleware/requireVerified');
+const upload = require('../middleware/upload');
+const Job = require('../models/Job');
+const JobDraft = require('../models/JobDraft');
+const { deleteFile } = require('../utils/fileUpload');
+const { enqueue } = require('../utils/queue');
+const {
+    REQUIRED_JOB_FIELDS,
+    missingJobFields,
+    readJobFields,
+    buildJobData
+} = require('../utils/jobPosting');
+
+const MAX_JOB_IMAGES = 5;
+
+// Fields a draft may hold; anything can be left out until publishing
+const DRAFT_FIELDS = [...REQUIRED_JOB_FIELDS, 'timeZone', 'radius'];
+
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(`/uploads/${file.filename}`)));
+
+// The draft plus what is still needed before it can be published
+const describeDraft = (draft) => ({
+    ...draft.toObject(),
+    missingFields: missingJobFields(draft)
+});
+
+// Load the draft and make sure it belongs to the client
+const loadDraft = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Invalid draft ID' });
+        }
+
+        const draft = await JobDraft.findOne({ _id: req.params.id, user: req.user._id });
+        if (!draft) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Draft not found' });
+        }
+
+        req.draft = draft;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+router.use(auth, requireRole('client'));
+
+// Save whatever has been filled in so far
+router.post('/', upload.array('images', MAX_JOB_IMAGES), async (req, res) => {
+    try {
+        const parsed = readJobFields(req.body, DRAFT_FIELDS);
+        if (parsed.error) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const draft = await JobDraft.create({
+            ...parsed.fields,
+            user: req.user._id,
+            images: (req.files || []).map(file => `/uploads/${file.filename}`)
+        });
+
+        res.status(201).json(describeDraft(draft));
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// The client's drafts, most recently edited first
+router.get('/', async (req, res) => {
+    try {
+        const drafts = await JobDraft.find({ user: req.user._id }).sort({ updatedAt: -1 });
+        res.json(drafts.map(describeDraft));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+router.get('/:id', loadDraft, async (req, res) => {
+    res.json(describeDraft(req.draft));
+});
+
+// Fill in more of the draft. New images are added to the ones already saved;
+// removeImages lists saved ones to drop.
+router.patch('/:id', upload.array('images', MAX_JOB_IMAGES), loadDraft, async (req, res) => {
+    try {
+        const { draft } = req;
+
+        const parsed = readJobFields(req.body, DRAFT_FIELDS);
+        if (parsed.error) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const removeImages = [].concat(req.body.removeImages || []);
+        const images = draft.images
+            .filter(image => !removeImages.includes(image))
+            .concat((req.files || []).map(file => `/uploads/${file.filename}`));
+        if (images.length > MAX_JOB_IMAGES) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: `A job can have at most ${MAX_JOB_IMAGES} images` });
+        }
+        const removed = draft.images.filter(image => removeImages.includes(image));
+
+        Object.entries(parsed.fields).forEach(([field, value]) => draft.set(field, value));
+        draft.images = images;
+        draft.updatedAt = new Date();
+        await draft.save();
+
+        await Promise.all(removed.map(image => deleteFile(image)));
+
+        res.json(describeDraft(draft));
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+router.delete('/:id', loadDraft, async (req, res) => {
+    try {
+        await JobDraft.deleteOne({ _id: req.draft._id });
+        await Promise.all(req.draft.images.map(image => deleteFile(image)));
+
+        res.json({ message: 'Draft deleted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Post the draft as a job. It goes through the same checks as /api/jobs/create
+// and the draft is removed once the job exists.
+router.post('/:id/publish', requireVerified, loadDraft, async (req, res) => {
+    try {
+        const built = buildJobData(req.draft.toObject(), req.user);
+        if (built.error) {
+            return res.status(400).json({ message: built.error, missingFields: built.missingFields });
+        }
+
+        // Take the draft out first so a double submit cannot post it twice
+        const draft = await JobDraft.findOneAndDelete({ _id: req.draft._id, user: req.user._id });
+        if (!draft) {
+            return res.status(409).json({ message: 'This draft has already been published' });
+        }
+
+        let job;
+        try {
+            job = await Job.create(built.data);
+        } catch (error) {
+            await JobDraft.create(draft.toObject());
+            throw error;
+        }
+
+        // Notify matching workers in the background so publishing stays fast
+        await enqueue('notifications.newJob', { jobId: job._id.toString() });
+
+        res.status(201).json(job);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
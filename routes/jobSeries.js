@@ -0,0 +1,329 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const requireVerified = require('../middleware/requireVerified');
+const upload = require('../middleware/upload');
+const Job = require('../models/Job');
+const JobSeries = require('../models/JobSeries');
+const { deleteFile } = require('../utils/fileUpload');
+const { buildJobSchedule, resolveJobTimeZone } = require('../utils/jobSchedule');
+const {
+    isPastEnd,
+    listOccurrences,
+    generateOccurrences,
+    skipOccurrence,
+    applyTemplateToFutureOccurrences,
+    cancelFutureOccurrences,
+    cancelSeries
+} = require('../utils/jobSeries');
+
+const MAX_JOB_IMAGES = 5;
+
+// Generate what is due now. A failure part-way is reported rather than thrown:
+// the series is saved and the scheduler picks up the remaining occurrences.
+const generateNow = async (series) => {
+    try {
+        return { jobs: await generateOccurrences(series) };
+    } catch (error) {
+        console.error(`Error generating occurrences for series ${series._id}:`, error);
+        return { jobs: error.createdJobs || [], generationError: error.message };
+    }
+};
+
+// Template fields a client may send as-is when creating or editing a series
+const TEXT_FIELDS = ['title', 'description', 'category', 'address', 'timeStart', 'timeEnd'];
+
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(`/uploads/${file.filename}`)));
+
+// Check the end of a series: an end date no earlier than the start, and/or a count
+const parseRecurrenceEnd = (body, startDate) => {
+    const end = {};
+
+    if (body.until !== undefined) {
+        if (body.until === null || body.until === '') {
+            end.until = null;
+        } else {
+            end.until = new Date(body.until);
+            if (isNaN(end.until) || end.until < startDate) {
+                return { error: 'until must be a date on or after the first occurrence' };
+            }
+        }
+    }
+
+    if (body.count !== undefined) {
+        if (body.count === null || body.count === '') {
+            end.count = null;
+        } else {
+            end.count = Number(body.count);
+            if (!Number.isInteger(end.count) || end.count < 1) {
+                return { error: 'count must be a whole number of occurrences' };
+            }
+        }
+    }
+
+    return { end };
+};
+
+// Load the series and make sure it belongs to the client
+const loadSeries = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Invalid series ID' });
+        }
+
+        const series = await JobSeries.findOne({ _id: req.params.id, user: req.user._id });
+        if (!series) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        req.series = series;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Upcoming occurrences with the job generated for each, if any
+const describeOccurrences = async (series) => {
+    const occurrences = listOccurrences(series, { limit: 10 });
+    const jobs = await Job.find({
+        series: series._id,
+        occurrence: { $in: occurrences.map(occurrence => occurrence.index) }
+    }).select('occurrence status worker startsAt endsAt offer seriesException');
+
+    const byIndex = new Map(jobs.map(job => [job.occurrence, job]));
+    return occurrences.map(occurrence => ({ ...occurrence, job: byIndex.get(occurrence.index) || null }));
+};
+
+router.use(auth, requireRole('client'));
+
+// Create a recurring job; occurrences in the next couple of weeks are posted straight away
+router.post('/', requireVerified, upload.array('images', MAX_JOB_IMAGES), async (req, res) => {
+    let series = null;
+    try {
+        const { latitude, longitude, frequency, startDate } = req.body;
+
+        if (!JobSeries.FREQUENCIES.includes(frequency)) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: `frequency must be one of: ${JobSeries.FREQUENCIES.join(', ')}` });
+        }
+
+        const coordinates = [parseFloat(longitude), parseFloat(latitude)];
+        if (!coordinates[0] || !coordinates[1]) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: 'Invalid coordinates' });
+        }
+
+        const zone = resolveJobTimeZone({
+            requested: req.body.timeZone,
+            coordinates,
+            userTimeZone: req.user.timeZone
+        });
+        const schedule = zone.error ? zone : buildJobSchedule({
+            deadline: startDate,
+            timeStart: req.body.timeStart,
+            timeEnd: req.body.timeEnd,
+            timeZone: zone.timeZone
+        });
+        if (schedule.error) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: schedule.error });
+        }
+
+        const parsedEnd = parseRecurrenceEnd(req.body, schedule.deadline);
+        if (parsedEnd.error) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: parsedEnd.error });
+        }
+
+        const template = {
+            ...TEXT_FIELDS.reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {}),
+            location: { type: 'Point', coordinates },
+            budget: parseFloat(req.body.budget),
+            timeZone: schedule.timeZone,
+            radius: req.body.radius !== undefined ? parseFloat(req.body.radius) : undefined,
+            images: (req.files || []).map(file => `/uploads/${file.filename}`)
+        };
+
+        series = await JobSeries.create({
+            user: req.user._id,
+            template,
+            recurrence: {
+                frequency,
+                startDate: schedule.deadline,
+                until: parsedEnd.end.until || undefined,
+                count: parsedEnd.end.count || undefined
+            },
+            offerToPreviousWorker: req.body.offerToPreviousWorker === true || req.body.offerToPreviousWorker === 'true'
+        });
+
+        const { jobs, generationError } = await generateNow(series);
+
+        res.status(201).json({ series: await JobSeries.findById(series._id), jobs, generationError });
+    } catch (error) {
+        // Once the series is saved its template refers to the uploaded images
+        if (!series) {
+            await discardUploads(req.files);
+        }
+        res.status(series ? 500 : 400).json({ message: error.message });
+    }
+});
+
+// The client's series, newest first
+router.get('/', async (req, res) => {
+    try {
+        const query = { user: req.user._id };
+        if (req.query.status) {
+            query.status = String(req.query.status);
+        }
+
+        const series = await JobSeries.find(query).sort({ createdAt: -1 });
+        res.json(series);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// One series with its upcoming occurrences
+router.get('/:id', loadSeries, async (req, res) => {
+    try {
+        res.json({
+            series: req.series,
+            occurrences: await describeOccurrences(req.series)
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Edit the whole series. Template changes apply to every future occurrence
+// not yet taken by a worker (except ones edited on their own); a shorter end
+// cancels the occurrences that fall beyond it.
+router.patch('/:id', loadSeries, async (req, res) => {
+    try {
+        const { series } = req;
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({ message: 'A cancelled series can no longer be edited' });
+        }
+        if (req.body.frequency !== undefined || req.body.startDate !== undefined) {
+            return res.status(400).json({ message: 'The frequency and start date cannot change, start a new series instead' });
+        }
+
+        const template = series.template.toObject();
+        TEXT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) template[field] = req.body[field];
+        });
+        if (req.body.budget !== undefined) template.budget = parseFloat(req.body.budget);
+        if (req.body.radius !== undefined) template.radius = parseFloat(req.body.radius);
+
+        if (req.body.latitude !== undefined || req.body.longitude !== undefined) {
+            const coordinates = [parseFloat(req.body.longitude), parseFloat(req.body.latitude)];
+            if (!coordinates[0] || !coordinates[1]) {
+                return res.status(400).json({ message: 'Invalid coordinates' });
+            }
+            template.location = { type: 'Point', coordinates };
+        }
+
+        if (req.body.timeZone !== undefined || req.body.latitude !== undefined) {
+            const zone = resolveJobTimeZone({
+                requested: req.body.timeZone,
+                coordinates: template.location.coordinates,
+                userTimeZone: req.user.timeZone
+            });
+            if (zone.error) {
+                return res.status(400).json({ message: zone.error });
+            }
+            template.timeZone = zone.timeZone;
+        }
+
+        const schedule = buildJobSchedule({
+            deadline: series.recurrence.startDate,
+            timeStart: template.timeStart,
+            timeEnd: template.timeEnd,
+            timeZone: template.timeZone
+        });
+        if (schedule.error) {
+            return res.status(400).json({ message: schedule.error });
+        }
+
+        const parsedEnd = parseRecurrenceEnd(req.body, series.recurrence.startDate);
+        if (parsedEnd.error) {
+            return res.status(400).json({ message: parsedEnd.error });
+        }
+
+        series.template = template;
+        Object.entries(parsedEnd.end).forEach(([field, value]) => {
+            series.recurrence[field] = value === null ? undefined : value;
+        });
+        if (req.body.offerToPreviousWorker !== undefined) {
+            series.offerToPreviousWorker = req.body.offerToPreviousWorker === true || req.body.offerToPreviousWorker === 'true';
+        }
+
+        // An extended series picks up where it stopped
+        if (series.status === 'ended' && !isPastEnd(series.recurrence, series.generatedThrough + 1)) {
+            series.status = 'active';
+            series.endedAt = undefined;
+        }
+        series.updatedAt = new Date();
+        await series.save();
+
+        const cancelledCount = await cancelFutureOccurrences(
+            series,
+            req.user,
+            'The recurring job now ends earlier',
+            {
+                occurrence: {
+                    $in: Array.from({ length: series.generatedThrough + 1 }, (_, index) => index)
+                        .filter(index => isPastEnd(series.recurrence, index))
+                }
+            }
+        );
+        const updatedCount = await applyTemplateToFutureOccurrences(series);
+        const { jobs, generationError } = series.status === 'active' ? await generateNow(series) : { jobs: [] };
+
+        res.json({
+            series: await JobSeries.findById(series._id),
+            updatedCount,
+            cancelledCount,
+            createdCount: jobs.length,
+            generationError
+        });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Skip a single occurrence (by index, as listed in GET /:id)
+router.post('/:id/occurrences/:index/skip', loadSeries, async (req, res) => {
+    try {
+        if (req.series.status === 'cancelled') {
+            return res.status(400).json({ message: 'This series has been cancelled' });
+        }
+
+        const result = await skipOccurrence(req.series, Number(req.params.index), req.user);
+        res.json(result);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Stop the series and cancel its upcoming occurrences
+router.post('/:id/cancel', loadSeries, async (req, res) => {
+    try {
+        const result = await cancelSeries(
+            req.series,
+            req.user,
+            req.body.reason || 'The client stopped this recurring job'
+        );
+        res.json(result);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/roles');
+const requireVerified = require('../middleware/requireVerified');
+const Job = require('../models/Job');
+const JobDraft = require('../models/JobDraft');
+const JobTemplate = require('../models/JobTemplate');
+const { enqueue } = require('../utils/queue');
+const { missingJobFields, readJobFields, buildJobData } = require('../utils/jobPosting');
+
+// Everything about a job except the date
+const TEMPLATE_FIELDS = [
+    'title',
+    'description',
+    'category',
+    'address',
+    'latitude',
+    'longitude',
+    'budget',
+    'timeStart',
+    'timeEnd',
+    'timeZone',
+    'radius'
+];
+
+// The template's saved fields, as they would be posted
+const templateFields = (template) => TEMPLATE_FIELDS.reduce((fields, field) => (
+    template[field] === undefined || template[field] === null ? fields : { ...fields, [field]: template[field] }
+), {});
+
+// The same fields taken from one of the client's jobs
+const jobFields = (job) => ({
+    title: job.title,
+    description: job.description,
+    category: job.category,
+    address: job.address,
+    longitude: job.location.coordinates[0],
+    latitude: job.location.coordinates[1],
+    budget: job.budget,
+    timeStart: job.timeStart,
+    timeEnd: job.timeEnd,
+    timeZone: job.timeZone,
+    radius: job.radius
+});
+
+const isDuplicateName = (error) => error.code === 11000;
+
+const wantsDraft = (req) => req.body.draft === true || req.body.draft === 'true';
+
+// Posting a job needs a verified email, as on /api/jobs/create; saving a draft does not
+const requireVerifiedToPost = (req, res, next) => (wantsDraft(req) ? next() : requireVerified(req, res, next));
+
+// Load the template and make sure it belongs to the client
+const loadTemplate = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid template ID' });
+        }
+
+        const template = await JobTemplate.findOne({ _id: req.params.id, user: req.user._id });
+        if (!template) {
+            return res.status(404).json({ message: 'Template not found' });
+        }
+
+        req.template = template;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+router.use(auth, requireRole('client'));
+
+// Save a template. With jobId, it starts from one of the client's own jobs and
+// any other fields sent override what the job had.
+router.post('/', async (req, res) => {
+    try {
+        if (!req.body.name || !String(req.body.name).trim()) {
+            return res.status(400).json({ message: 'A template name is required' });
+        }
+
+        let base = {};
+        if (req.body.jobId !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(req.body.jobId)) {
+                return res.status(400).json({ message: 'Invalid job ID' });
+            }
+            const job = await Job.findOne({ _id: req.body.jobId, user: req.user._id });
+            if (!job) {
+                return res.status(404).json({ message: 'Job not found' });
+            }
+            base = jobFields(job);
+        }
+
+        const parsed = readJobFields(req.body, TEMPLATE_FIELDS);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const template = await JobTemplate.create({
+            ...base,
+            ...parsed.fields,
+            name: req.body.name,
+            user: req.user._id
+        });
+
+        res.status(201).json(template);
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ message: 'You already have a template with this name' });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// The client's templates, most used first
+router.get('/', async (req, res) => {
+    try {
+        const templates = await JobTemplate.find({ user: req.user._id })
+            .sort({ lastUsedAt: -1, updatedAt: -1 });
+        res.json(templates);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+router.get('/:id', loadTemplate, async (req, res) => {
+    res.json(req.template);
+});
+
+router.patch('/:id', loadTemplate, async (req, res) => {
+    try {
+        const { template } = req;
+
+        const parsed = readJobFields(req.body, TEMPLATE_FIELDS);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+        if (req.body.name !== undefined) {
+            if (!String(req.body.name).trim()) {
+                return res.status(400).json({ message: 'A template name is required' });
+            }
+            template.name = req.body.name;
+        }
+
+        Object.entries(parsed.fields).forEach(([field, value]) => template.set(field, value));
+        template.updatedAt = new Date();
+        await template.save();
+
+        res.json(template);
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ message: 'You already have a template with this name' });
+        }
+        res.status(400).json({ message: error.message });
+    }
+});
+
+router.delete('/:id', loadTemplate, async (req, res) => {
+    try {
+        await JobTemplate.deleteOne({ _id: req.template._id });
+        res.json({ message: 'Template deleted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Post a job from the template in one call: send the deadline plus any fields
+// that differ this time. With draft: true it is saved as a draft instead.
+router.post('/:id/instantiate', requireVerifiedToPost, loadTemplate, async (req, res) => {
+    try {
+        const { template } = req;
+
+        const parsed = readJobFields(req.body, [...TEMPLATE_FIELDS, 'deadline']);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+        const fields = { ...templateFields(template), ...parsed.fields };
+
+        if (wantsDraft(req)) {
+            const draft = await JobDraft.create({
+                ...fields,
+                user: req.user._id,
+                template: template._id
+            });
+            await JobTemplate.updateOne(
+                { _id: template._id },
+                { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+            );
+
+            return res.status(201).json({
+                draft: { ...draft.toObject(), missingFields: missingJobFields(draft) }
+            });
+        }
+
+        const built = buildJobData(fields, req.user);
+        if (built.error) {
+            return res.status(400).json({ message: built.error, missingFields: built.missingFields });
+        }
+
+        const job = await Job.create(built.data);
+        await JobTemplate.updateOne(
+            { _id: template._id },
+            { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+        );
+
+        // Notify matching workers in the background so posting stays fast
+        await enqueue('notifications.newJob', { jobId: job._id.toString() });
+
+        res.status(201).json({ job });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
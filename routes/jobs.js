@@ -2,67 +2,62 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
 const upload = require('../middleware/upload');
 const Job = require('../models/Job');
-const User = require('../models/User'); 
 const Worker = require('../models/Worker'); 
-const { sendNotificationsToMatchingWorkers } = require('../utils/notifications');
+const Quote = require('../models/Quote');
+const Review = require('../models/Review');
+const quoteRoutes = require('./quotes');
+const { deleteFile } = require('../utils/fileUpload');
+const { getConfirmDeadline } = require('../utils/completion');
+const { openDispute } = require('../utils/disputes');
+const { getReviewWindowEnd } = require('../utils/reviews');
+const { checkContent } = require('../utils/contentFilter');
+const {
+    sendNotificationToUser,
+    notifyWorkersAboutJob
+} = require('../utils/notifications');
+const { enqueue } = require('../utils/queue');
+const { bookWorker } = require('../utils/availability');
+const { buildJobSchedule, resolveJobTimeZone } = require('../utils/jobSchedule');
+const { buildJobData } = require('../utils/jobPosting');
+const JobSeries = require('../models/JobSeries');
+
+const MAX_JOB_IMAGES = 5;
+
+// Fields a client may change while the job is still pending
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'address', 'budget', 'deadline', 'timeStart', 'timeEnd', 'timeZone', 'radius'];
+
+// Fields that can still move once a worker is assigned (with their confirmation)
+const RESCHEDULE_FIELDS = ['deadline', 'timeStart', 'timeEnd'];
+
+// Remove files uploaded for a request that ended up failing
+const discardUploads = (files) => Promise.all((files || []).map(file => deleteFile(`/uploads/${file.filename}`)));
+
+const isOwner = (job, user) => job.user.toString() === user._id.toString();
 
 // Create a new job
-router.post('/create', auth, upload.array('images', 5), async (req, res) => {
+router.post('/create', auth, requireVerified, upload.array('images', 5), async (req, res) => {
     try {
         if (req.user.userType !== 'client') {
             return res.status(403).json({ message: 'Only clients can post jobs' });
         }
 
-        const {
-            title,
-            description,
-            category,
-            address,
-            latitude,
-            longitude,
-            budget,
-            deadline,
-            timeStart,
-            timeEnd
-        } = req.body;
-
-        // Create location object
-        const location = {
-            type: 'Point',
-            coordinates: [
-                parseFloat(longitude),
-                parseFloat(latitude)
-            ]
-        };
-
-        // Validate coordinates
-        if (!location.coordinates[0] || !location.coordinates[1]) {
-            return res.status(400).json({ message: 'Invalid coordinates' });
-        }
-
-        const jobData = {
-            title,
-            description,
-            category,
-            address,
-            location,
-            budget: parseFloat(budget),
-            deadline: new Date(deadline),
-            timeStart,
-            timeEnd,
-            user: req.user._id,
+        const built = buildJobData({
+            ...req.body,
             images: req.files ? req.files.map(file => `/uploads/${file.filename}`) : []
-        };
+        }, req.user);
+        if (built.error) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: built.error, missingFields: built.missingFields });
+        }
 
-        const job = new Job(jobData);
+        const job = new Job(built.data);
         await job.save();
 
-        // Send notifications to workers with matching skills
-        console.log('Sending notifications for new job:', job._id);
-        await sendNotificationsToMatchingWorkers(job);
-        console.log('Notifications sent successfully');
+        // Notify matching workers in the background so posting stays fast
+        await enqueue('notifications.newJob', { jobId: job._id.toString() });
 
         res.status(201).json(job);
     } catch (error) {
@@ -106,10 +101,11 @@ router.get('/available', auth, async (req, res) => {
 
         const jobs = await Job.find({
             status: 'pending',
-            worker: null
+            worker: null,
+            ...Job.openToWorker(req.user._id)
         })
-        .populate('user', 'name phone')
-        .select('title description category address budget deadline timePreference images createdAt status')
+        .populate('user', 'name')
+        .select('title description category address budget deadline timeStart timeEnd timeZone startsAt endsAt images createdAt status')
         .sort('-createdAt');
 
         res.json(jobs);
@@ -147,23 +143,86 @@ router.post('/:id/accept', auth, async (req, res) => {
             return res.status(403).json({ message: 'Only workers can accept jobs' });
         }
 
-        const job = await Job.findById(req.params.id);
-        
-        if (!job) {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid job ID' });
+        }
+
+        const pending = await Job.findById(req.params.id).select('deadline timeStart timeEnd timeZone startsAt endsAt');
+        if (!pending) {
             return res.status(404).json({ message: 'Job not found' });
         }
 
-        if (job.status !== 'pending' || job.worker) {
-            return res.status(400).json({ message: 'Job is no longer available' });
+        // Refuse bookings that clash with the worker's other jobs or time off.
+        // The claim is a single conditional update: concurrent accepts get exactly one winner.
+        const { result: job, warnings } = await bookWorker(
+            req.user._id,
+            pending,
+            () => Job.claim(req.params.id, req.user)
+        );
+
+        // Any outstanding quotes on the job are now moot
+        await Quote.updateMany(
+            { job: job._id, status: { $in: Quote.OPEN_STATUSES } },
+            { $set: { status: 'declined', decidedAt: new Date() } }
+        );
+
+        await sendNotificationToUser(job.user, {
+            type: 'job_update',
+            job,
+            title: 'Job Accepted',
+            message: `${req.user.name} accepted your job "${job.title}"`
+        });
+
+        res.json(warnings.length > 0 ? { ...job.toObject(), availabilityWarnings: warnings } : job);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message, conflicts: error.conflicts });
+    }
+});
+
+// The worker a series occurrence is held for passes on it; it goes out to everyone else
+router.post('/:id/offer/decline', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid job ID' });
         }
 
-        job.worker = req.user._id;
-        job.status = 'in progress';
-        await job.save();
+        const job = await Job.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending', worker: null, 'offer.worker': req.user._id },
+            { $unset: { offer: 1 } },
+            { new: true }
+        );
 
-        res.json(job);
+        if (!job) {
+            return res.status(404).json({ message: 'No open offer for you on this job' });
+        }
+
+        await enqueue('notifications.newJob', { jobId: job._id.toString() });
+
+        await sendNotificationToUser(job.user, {
+            type: 'job_update',
+            job,
+            title: 'Offer Declined',
+            message: `${req.user.name} can't make "${job.title}" this time, so it has been offered to other workers`
+        });
+
+        res.json({ message: 'Offer declined' });
     } catch (error) {
-        res.status(400).json({ message: error.message });
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get latest job timestamp for efficient polling (fallback for clients without /api/events)
+router.get('/latest-timestamp', auth, async (req, res) => {
+    try {
+        const latestJob = await Job.findOne({})
+            .sort({ createdAt: -1 })
+            .select('createdAt');
+        
+        res.json({ 
+            timestamp: latestJob ? latestJob.createdAt : new Date(0) 
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
     }
 });
 
@@ -197,17 +256,47 @@ router.get('/my-assignments', auth, async (req, res) => {
     }
 });
 
+// Get the worker's quotes across all jobs
+router.get('/my-quotes', auth, async (req, res) => {
+    try {
+        if (req.user.userType !== 'worker') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const query = { worker: req.user._id };
+        if (req.query.status) {
+            query.status = String(req.query.status);
+        }
+
+        const quotes = await Quote.find(query)
+            .populate('job', 'title category address budget deadline status')
+            .sort({ createdAt: -1 });
+
+        res.json(quotes);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Quotes/bids on a job
+router.use('/:jobId/quotes', quoteRoutes);
+
 // Get job details
 router.get('/:id', auth, async (req, res) => {
     try {
-        const job = await Job.findById(req.params.id)
-            .populate('user', 'name email phone')
-            .populate('worker', 'name email phone rating');
+        const job = await Job.findById(req.params.id);
 
         if (!job) {
             return res.status(404).json({ message: 'Job not found' });
         }
 
+        // Contact details are only shared between the client and the assigned worker
+        const isParty = isOwner(job, req.user) || (job.worker && job.worker.toString() === req.user._id.toString());
+        await job.populate([
+            { path: 'user', select: isParty ? 'name email phone' : 'name' },
+            { path: 'worker', select: isParty ? 'name email phone rating' : 'name rating' }
+        ]);
+
         res.json(job);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -217,7 +306,7 @@ router.get('/:id', auth, async (req, res) => {
 // Update job status
 router.patch('/:id/status', auth, async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, reason } = req.body;
         const job = await Job.findById(req.params.id);
 
         if (!job) {
@@ -230,37 +319,493 @@ router.patch('/:id/status', auth, async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        job.status = status;
-        if (status === 'completed') {
-            job.completedAt = new Date();
-            
-            // Update worker stats
-            if (job.worker) {
-                await User.findByIdAndUpdate(job.worker, {
-                    $inc: { completedJobs: 1 }
+        // Submitting completion needs proof-of-work photos
+        if (status === 'awaiting confirmation') {
+            return res.status(400).json({ message: `Use POST /api/jobs/${job._id}/complete to submit completion` });
+        }
+
+        // Disputes need evidence and a Dispute record for admins to resolve
+        if (status === 'disputed') {
+            return res.status(400).json({ message: `Use POST /api/jobs/${job._id}/dispute-completion to open a dispute` });
+        }
+
+        const updated = await Job.transition(job, status, { actor: req.user, reason });
+        res.json(updated);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Get a job's status history
+router.get('/:id/history', auth, async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id)
+            .select('user worker status statusHistory')
+            .populate('statusHistory.actor', 'name userType');
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const isParty = job.user.toString() === req.user._id.toString() ||
+            (job.worker && job.worker.toString() === req.user._id.toString());
+
+        if (!isParty && req.user.userType !== 'admin') {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json({
+            status: job.status,
+            allowedTransitions: Object.keys(Job.STATUS_TRANSITIONS[job.status] || {}),
+            history: job.statusHistory
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Edit a job. Pending jobs can be fully edited; once a worker is assigned only
+// the schedule can change, and that needs the worker's confirmation.
+router.patch('/:id', auth, upload.array('images', MAX_JOB_IMAGES), async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!isOwner(job, req.user)) {
+            await discardUploads(req.files);
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (job.status === 'in progress') {
+            await discardUploads(req.files);
+
+            const changes = {};
+            RESCHEDULE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) changes[field] = req.body[field];
+            });
+
+            const otherFields = Object.keys(req.body).filter(field =>
+                EDITABLE_FIELDS.includes(field) && !RESCHEDULE_FIELDS.includes(field));
+            if (otherFields.length > 0 || (req.files && req.files.length > 0)) {
+                return res.status(400).json({
+                    message: 'Only the schedule can be changed once a worker is assigned'
                 });
             }
+
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ message: 'No schedule changes provided' });
+            }
+
+            const schedule = buildJobSchedule({
+                deadline: changes.deadline || job.deadline,
+                timeStart: changes.timeStart || job.timeStart,
+                timeEnd: changes.timeEnd || job.timeEnd,
+                timeZone: job.timeZone
+            });
+            if (schedule.error) {
+                return res.status(400).json({ message: schedule.error });
+            }
+
+            job.pendingReschedule = {
+                deadline: schedule.deadline,
+                timeStart: schedule.timeStart,
+                timeEnd: schedule.timeEnd,
+                reason: req.body.reason,
+                requestedAt: new Date()
+            };
+            job.updatedAt = new Date();
+            await job.save();
+
+            await sendNotificationToUser(job.worker, {
+                type: 'job_update',
+                job,
+                title: 'Reschedule Requested',
+                message: `The client asked to reschedule "${job.title}". Please confirm or decline.`
+            });
+
+            return res.status(202).json({
+                message: 'Reschedule requested, waiting for the worker to confirm',
+                job
+            });
         }
 
+        if (job.status !== 'pending') {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: `A ${job.status} job can no longer be edited` });
+        }
+
+        const updates = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        if (updates.budget !== undefined) updates.budget = parseFloat(updates.budget);
+
+        if (req.body.latitude !== undefined || req.body.longitude !== undefined) {
+            const coordinates = [parseFloat(req.body.longitude), parseFloat(req.body.latitude)];
+            if (!coordinates[0] || !coordinates[1]) {
+                await discardUploads(req.files);
+                return res.status(400).json({ message: 'Invalid coordinates' });
+            }
+            updates.location = { type: 'Point', coordinates };
+        }
+
+        // The update skips document middleware, so work out the new schedule here
+        if (['deadline', 'timeStart', 'timeEnd', 'timeZone', 'location'].some(field => updates[field] !== undefined)) {
+            const zone = updates.timeZone !== undefined || updates.location
+                ? resolveJobTimeZone({
+                    requested: updates.timeZone,
+                    coordinates: (updates.location || job.location).coordinates,
+                    userTimeZone: req.user.timeZone
+                })
+                : { timeZone: job.timeZone };
+            const schedule = zone.error ? zone : buildJobSchedule({
+                deadline: updates.deadline || job.deadline,
+                timeStart: updates.timeStart || job.timeStart,
+                timeEnd: updates.timeEnd || job.timeEnd,
+                timeZone: zone.timeZone
+            });
+            if (schedule.error) {
+                await discardUploads(req.files);
+                return res.status(400).json({ message: schedule.error });
+            }
+            Object.assign(updates, schedule);
+        }
+
+        // Images: drop the ones the client removed, append new uploads
+        let removeImages = req.body.removeImages || [];
+        if (typeof removeImages === 'string') removeImages = [removeImages];
+        removeImages = removeImages.filter(image => job.images.includes(image));
+
+        const images = job.images
+            .filter(image => !removeImages.includes(image))
+            .concat((req.files || []).map(file => `/uploads/${file.filename}`));
+
+        if (images.length > MAX_JOB_IMAGES) {
+            await discardUploads(req.files);
+            return res.status(400).json({ message: `A job can have at most ${MAX_JOB_IMAGES} images` });
+        }
+
+        if (removeImages.length > 0 || (req.files && req.files.length > 0)) {
+            updates.images = images;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: 'No changes provided' });
+        }
+
+        updates.updatedAt = new Date();
+        // Edits to one occurrence of a series survive later edits to the series
+        if (job.series) updates.seriesException = true;
+
+        // Only apply the edit if nobody accepted the job in the meantime
+        const updated = await Job.findOneAndUpdate(
+            { _id: job._id, status: 'pending', worker: null },
+            { $set: updates, $inc: { calendarSequence: 1 } },
+            { new: true, runValidators: true }
+        );
+
+        if (!updated) {
+            await discardUploads(req.files);
+            return res.status(409).json({ message: 'Job was assigned while you were editing, please refresh' });
+        }
+
+        // Reposted jobs and series occurrences share image files; keep files still in use
+        await Promise.all(removeImages.map(async (image) => {
+            const inUse = await Job.exists({ _id: { $ne: job._id }, images: image }) ||
+                await JobSeries.exists({ 'template.images': image });
+            if (!inUse) await deleteFile(image);
+        }));
+
+        await notifyWorkersAboutJob(updated, {
+            title: 'Job Updated',
+            message: `The job "${updated.title}" was updated by the client`
+        });
+
+        res.json(updated);
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Assigned worker confirms or declines a reschedule request
+router.post('/:id/reschedule/:decision', auth, async (req, res) => {
+    try {
+        const { decision } = req.params;
+
+        if (!['confirm', 'decline'].includes(decision)) {
+            return res.status(404).json({ message: 'Unknown reschedule action' });
+        }
+
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!job.worker || job.worker.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (job.status !== 'in progress' || !job.pendingReschedule || !job.pendingReschedule.requestedAt) {
+            return res.status(400).json({ message: 'There is no reschedule request to respond to' });
+        }
+
+        const applyDecision = () => {
+            if (decision === 'confirm') {
+                RESCHEDULE_FIELDS.forEach(field => {
+                    job[field] = job.pendingReschedule[field];
+                });
+                // Reminders and the overdue flag start over for the new time
+                job.remindersSent = [];
+                job.overdueAt = undefined;
+            }
+            job.pendingReschedule = undefined;
+            job.updatedAt = new Date();
+            return job.save();
+        };
+
+        if (decision === 'confirm') {
+            // The new time must not clash with the worker's other bookings
+            await bookWorker(req.user._id, {
+                _id: job._id,
+                timeZone: job.timeZone,
+                ...RESCHEDULE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: job.pendingReschedule[field] }), {})
+            }, applyDecision);
+        } else {
+            await applyDecision();
+        }
+
+        await sendNotificationToUser(job.user, {
+            type: 'job_update',
+            job,
+            title: decision === 'confirm' ? 'Reschedule Confirmed' : 'Reschedule Declined',
+            message: decision === 'confirm'
+                ? `The worker agreed to the new time for "${job.title}"`
+                : `The worker declined the new time for "${job.title}"`
+        });
+
+        res.json({
+            message: decision === 'confirm' ? 'Reschedule confirmed' : 'Reschedule declined',
+            job
+        });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message, conflicts: error.conflicts });
+    }
+});
+
+// Client cancels their job
+router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!isOwner(job, req.user)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const cancelled = await Job.transition(job, 'cancelled', { actor: req.user, reason });
+
+        await Quote.updateMany(
+            { job: job._id, status: { $in: Quote.OPEN_STATUSES } },
+            { $set: { status: 'declined', decidedAt: new Date() } }
+        );
+
+        await notifyWorkersAboutJob(cancelled, {
+            title: 'Job Cancelled',
+            message: `The job "${cancelled.title}" was cancelled by the client: ${reason}`
+        });
+
+        res.json(cancelled);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Post an expired or cancelled job again with a new date
+router.post('/:id/repost', auth, async (req, res) => {
+    try {
+        const original = await Job.findById(req.params.id);
+
+        if (!original) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!isOwner(original, req.user)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!['expired', 'cancelled'].includes(original.status)) {
+            return res.status(400).json({ message: 'Only expired or cancelled jobs can be reposted' });
+        }
+
+        const { deadline, timeStart, timeEnd, budget } = req.body;
+        if (!deadline) {
+            return res.status(400).json({ message: 'A new deadline is required' });
+        }
+
+        const zone = req.body.timeZone !== undefined
+            ? resolveJobTimeZone({ requested: req.body.timeZone })
+            : { timeZone: original.timeZone };
+        const schedule = zone.error ? zone : buildJobSchedule({
+            deadline,
+            timeStart: timeStart || original.timeStart,
+            timeEnd: timeEnd || original.timeEnd,
+            timeZone: zone.timeZone
+        });
+        if (schedule.error) {
+            return res.status(400).json({ message: schedule.error });
+        }
+
+        const job = new Job({
+            title: original.title,
+            description: original.description,
+            category: original.category,
+            address: original.address,
+            location: original.location,
+            radius: original.radius,
+            images: original.images,
+            budget: budget !== undefined ? parseFloat(budget) : original.budget,
+            ...schedule,
+            user: req.user._id,
+            repostedFrom: original._id
+        });
         await job.save();
-        res.json(job);
+
+        await enqueue('notifications.newJob', { jobId: job._id.toString() });
+
+        res.status(201).json(job);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Add review and rating
+// Worker submits the job as done, with after-photos as proof of work
+router.post('/:id/complete', auth, upload.array('photos', MAX_JOB_IMAGES), async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            await discardUploads(req.files);
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!job.worker || job.worker.toString() !== req.user._id.toString()) {
+            await discardUploads(req.files);
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ message: 'At least one photo of the finished work is required' });
+        }
+
+        const updated = await Job.transition(job, 'awaiting confirmation', {
+            actor: req.user,
+            reason: 'Worker submitted completion',
+            set: {
+                completion: {
+                    submittedAt: new Date(),
+                    notes: req.body.notes,
+                    photos: req.files.map(file => `/uploads/${file.filename}`),
+                    confirmBy: getConfirmDeadline()
+                }
+            }
+        });
+
+        await sendNotificationToUser(updated.user, {
+            type: 'job_update',
+            job: updated,
+            title: 'Job Completed',
+            message: `"${updated.title}" was marked as done, please confirm or raise a dispute`
+        });
+
+        res.json(updated);
+    } catch (error) {
+        await discardUploads(req.files);
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Client confirms the submitted completion
+router.post('/:id/confirm-completion', auth, async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!isOwner(job, req.user)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const updated = await Job.transition(job, 'completed', { actor: req.user, reason: req.body.reason });
+
+        await sendNotificationToUser(updated.worker, {
+            type: 'job_update',
+            job: updated,
+            title: 'Job Completed',
+            message: `The client confirmed "${updated.title}" as completed`
+        });
+
+        res.json(updated);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Client disputes the submitted completion (opens a dispute, see routes/disputes.js)
+router.post('/:id/dispute-completion', auth, async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        if (!isOwner(job, req.user)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (job.status !== 'awaiting confirmation') {
+            return res.status(400).json({ message: 'There is no submitted completion to dispute' });
+        }
+
+        const result = await openDispute(job, req.user, {
+            reason: req.body.reason,
+            description: req.body.description
+        });
+
+        res.status(201).json(result);
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message });
+    }
+});
+
+// Review the other party on a completed job. Either side can review; reviews
+// stay hidden until both have submitted or the review window closes.
 router.post('/:id/review', auth, async (req, res) => {
     try {
-        const { rating, review } = req.body;
+        const { rating, comment, review, scores = {} } = req.body;
         const job = await Job.findById(req.params.id);
 
         if (!job) {
             return res.status(404).json({ message: 'Job not found' });
         }
 
-        // Only job poster can add review
-        if (job.user.toString() !== req.user._id.toString()) {
+        const isClient = isOwner(job, req.user);
+        const isAssignedWorker = job.worker && job.worker.toString() === req.user._id.toString();
+
+        if (!isClient && !isAssignedWorker) {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
@@ -268,40 +813,87 @@ router.post('/:id/review', auth, async (req, res) => {
             return res.status(400).json({ message: 'Can only review completed jobs' });
         }
 
-        job.rating = rating;
-        job.review = review;
-        await job.save();
+        if (job.activeDispute) {
+            return res.status(409).json({ message: 'Reviews are on hold until the dispute on this job is resolved' });
+        }
 
-        // Update worker's average rating
-        const workerJobs = await Job.find({ 
-            worker: job.worker,
-            rating: { $exists: true }
-        });
+        if (new Date() > getReviewWindowEnd(job)) {
+            return res.status(400).json({ message: 'The review window for this job has closed' });
+        }
 
-        const averageRating = workerJobs.reduce((acc, job) => acc + job.rating, 0) / workerJobs.length;
+        const subScores = {};
+        Review.SUB_SCORES.forEach(score => {
+            if (scores[score] !== undefined) subScores[score] = Number(scores[score]);
+        });
 
-        await User.findByIdAndUpdate(job.worker, {
-            rating: averageRating
+        const text = comment !== undefined ? comment : review;
+
+        // Suspicious reviews are held for a moderator before anyone sees them
+        const check = checkContent(text);
+
+        const created = await Review.create({
+            job: job._id,
+            reviewer: req.user._id,
+            reviewee: isClient ? job.worker : job.user,
+            direction: isClient ? 'client_to_worker' : 'worker_to_client',
+            rating: Number(rating),
+            scores: subScores,
+            comment: text,
+            moderationStatus: check.flagged ? 'held' : 'visible',
+            moderation: check.flagged ? { autoFlags: check.reasons } : undefined
         });
 
-        res.json(job);
+        // Both sides are in: reveal them together
+        const reviews = await Review.find({ job: job._id, revealed: false });
+        if (reviews.length === 2) {
+            await Review.reveal(reviews);
+        }
+
+        res.status(201).json(await Review.findById(created._id));
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'You have already reviewed this job' });
+        }
         res.status(400).json({ message: error.message });
     }
 });
 
-// Get latest job timestamp for efficient polling
-router.get('/latest-timestamp', auth, async (req, res) => {
+// Reviews on a job: your own, plus the other side's once revealed
+router.get('/:id/reviews', auth, async (req, res) => {
     try {
-        const latestJob = await Job.findOne({})
-            .sort({ createdAt: -1 })
-            .select('createdAt');
-        
-        res.json({ 
-            timestamp: latestJob ? latestJob.createdAt : new Date(0) 
+        const job = await Job.findById(req.params.id).select('user worker completedAt');
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        const isParty = isOwner(job, req.user) ||
+            (job.worker && job.worker.toString() === req.user._id.toString());
+        const isAdmin = req.user.userType === 'admin';
+
+        if (!isParty && !isAdmin) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const query = { job: job._id };
+        if (!isAdmin) {
+            query.$or = [
+                { revealed: true, moderationStatus: 'visible' },
+                { reviewer: req.user._id }
+            ];
+        }
+
+        const reviews = await Review.find(query)
+            .populate('reviewer', 'name')
+            .sort({ createdAt: 1 });
+
+        res.json({
+            reviews,
+            windowClosesAt: job.completedAt ? getReviewWindowEnd(job) : null
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
+
 module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { publishUnreadCount } = require('../utils/notifications');
+const { buildPreferencesUpdate, isInQuietHours } = require('../utils/notificationPreferences');
+const { getVapidPublicKey, saveSubscription } = require('../utils/push');
+
+// List the user's notifications, newest first. Pass the previous page's
+// `nextCursor` as `before` to page back.
+router.get('/', auth, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const query = Notification.listedFor(req.user._id);
+
+        if (req.query.before) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.before)) {
+                return res.status(400).json({ message: 'Invalid before cursor' });
+            }
+            query._id = { $lt: new mongoose.Types.ObjectId(String(req.query.before)) };
+        }
+        if (req.query.unreadOnly === 'true') {
+            query.isRead = false;
+        }
+        if (req.query.type) {
+            query.type = String(req.query.type);
+        }
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .populate('job', 'title status deadline address images')
+                .sort({ _id: -1 })
+                .limit(limit),
+            Notification.unreadCountFor(req.user._id)
+        ]);
+
+        res.json({
+            notifications,
+            unreadCount,
+            nextCursor: notifications.length === limit ? notifications[notifications.length - 1]._id : null
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+router.get('/unread-count', auth, async (req, res) => {
+    try {
+        const unreadCount = await Notification.unreadCountFor(req.user._id);
+        res.json({ unreadCount });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Current notification preferences
+router.get('/preferences', auth, async (req, res) => {
+    res.json({
+        preferences: req.user.notificationPreferences,
+        timeZone: req.user.timeZone,
+        inQuietHours: isInQuietHours(req.user)
+    });
+});
+
+// Update notification preferences; only the fields sent are changed
+router.put('/preferences', auth, async (req, res) => {
+    try {
+        const { set, error } = buildPreferencesUpdate(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: set }, { new: true, runValidators: true });
+
+        res.json({
+            preferences: user.notificationPreferences,
+            timeZone: user.timeZone,
+            inQuietHours: isInQuietHours(user)
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Public VAPID key the browser needs to create a push subscription
+router.get('/push/public-key', (req, res) => {
+    const publicKey = getVapidPublicKey();
+    if (!publicKey) {
+        return res.status(503).json({ message: 'Web push is not configured' });
+    }
+    res.json({ publicKey });
+});
+
+// Devices the user has subscribed for web push
+router.get('/push/subscriptions', auth, async (req, res) => {
+    try {
+        const subscriptions = await PushSubscription.find({ user: req.user._id })
+            .select('deviceLabel userAgent createdAt lastSuccessAt')
+            .sort({ createdAt: -1 });
+
+        res.json(subscriptions);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Subscribe this device; body is { subscription, deviceLabel }
+router.post('/push/subscriptions', auth, async (req, res) => {
+    try {
+        const { subscription, error } = await saveSubscription(req.user, req.body.subscription, {
+            deviceLabel: req.body.deviceLabel,
+            userAgent: req.get('User-Agent')
+        });
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        res.status(201).json({
+            _id: subscription._id,
+            deviceLabel: subscription.deviceLabel,
+            createdAt: subscription.createdAt
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Unsubscribe by endpoint, as known to the browser's PushSubscription
+router.post('/push/unsubscribe', auth, async (req, res) => {
+    try {
+        const { endpoint } = req.body;
+        if (!endpoint) {
+            return res.status(400).json({ message: 'Endpoint is required' });
+        }
+
+        const result = await PushSubscription.deleteOne({ user: req.user._id, endpoint: String(endpoint) });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ message: 'Subscription not found' });
+        }
+
+        res.json({ message: 'Unsubscribed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Remove a device from the subscription list
+router.delete('/push/subscriptions/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid subscription ID' });
+        }
+
+        const result = await PushSubscription.deleteOne({ _id: req.params.id, user: req.user._id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ message: 'Subscription not found' });
+        }
+
+        res.json({ message: 'Unsubscribed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Mark every unread notification as read
+router.post('/read-all', auth, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user._id, isRead: false },
+            { $set: { isRead: true, readAt: new Date(), expiresAt: Notification.readExpiry() } }
+        );
+
+        await publishUnreadCount(req.user._id);
+
+        res.json({ markedRead: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+router.patch('/:id/read', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid notification ID' });
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, recipient: req.user._id },
+            { $set: { isRead: true, readAt: new Date(), expiresAt: Notification.readExpiry() } },
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        await publishUnreadCount(req.user._id);
+
+        res.json(notification);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Delivery status of a notification on each outside channel
+router.get('/:id/deliveries', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid notification ID' });
+        }
+
+        const deliveries = await NotificationDelivery.find({ notification: req.params.id, recipient: req.user._id })
+            .select('channel provider status attempts lastError sentAt nextAttemptAt createdAt')
+            .sort({ createdAt: 1 });
+
+        res.json(deliveries);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid notification ID' });
+        }
+
+        const notification = await Notification.findOneAndDelete({ _id: req.params.id, recipient: req.user._id });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        if (!notification.isRead) {
+            await publishUnreadCount(req.user._id);
+        }
+
+        res.json({ message: 'Notification deleted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+module.exports = router;
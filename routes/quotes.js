@@ -0,0 +1,356 @@
+const express = require('express');
+const mongoose = require('mongoose');
+// Mounted under /api/jobs/:jobId/quotes
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const { sendNotificationToUser } = require('../utils/notifications');
+const { bookWorker } = require('../utils/availability');
+const realtime = require('../utils/realtime');
+
+const quoteEvent = (quote) => ({
+    quoteId: quote._id.toString(),
+    jobId: quote.job.toString(),
+    price: quote.price,
+    estimatedDuration: quote.estimatedDuration,
+    status: quote.status
+});
+
+// Load the job from the route params, or answer 400/404
+const loadJob = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+            return res.status(400).json({ message: 'Invalid job ID' });
+        }
+
+        const job = await Job.findById(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        req.job = job;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+const isJobOwner = (req) => req.job.user.toString() === req.user._id.toString();
+
+const parseQuoteFields = (body) => {
+    const price = parseFloat(body.price);
+    const estimatedDuration = parseFloat(body.estimatedDuration);
+
+    if (isNaN(price) || price < 0) {
+        return { error: 'A valid price is required' };
+    }
+    if (isNaN(estimatedDuration) || estimatedDuration <= 0) {
+        return { error: 'A valid estimated duration (in hours) is required' };
+    }
+
+    return { price, estimatedDuration, message: body.message };
+};
+
+const QUOTE_SORTS = {
+    price: (a, b) => a.price - b.price,
+    duration: (a, b) => a.estimatedDuration - b.estimatedDuration,
+    rating: (a, b) => ((b.worker && b.worker.rating) || 0) - ((a.worker && a.worker.rating) || 0),
+    newest: (a, b) => b.createdAt - a.createdAt
+};
+
+// Submit a quote on a pending job
+router.post('/', auth, loadJob, async (req, res) => {
+    try {
+        if (req.user.userType !== 'worker') {
+            return res.status(403).json({ message: 'Only workers can submit quotes' });
+        }
+
+        if (req.job.status !== 'pending' || req.job.worker) {
+            return res.status(400).json({ message: 'Job is no longer accepting quotes' });
+        }
+
+        // Held for the series' previous worker for now
+        const offer = req.job.offer;
+        if (offer && offer.worker && !offer.worker.equals(req.user._id) && offer.expiresAt > new Date()) {
+            return res.status(409).json({ message: 'This job is currently offered to another worker' });
+        }
+
+        const fields = parseQuoteFields(req.body);
+        if (fields.error) {
+            return res.status(400).json({ message: fields.error });
+        }
+
+        let quote = await Quote.findOne({ job: req.job._id, worker: req.user._id });
+
+        if (quote && Quote.OPEN_STATUSES.includes(quote.status)) {
+            return res.status(409).json({ message: 'You have already quoted on this job, update your quote instead' });
+        }
+
+        if (quote && quote.status !== 'withdrawn') {
+            return res.status(400).json({ message: 'Your quote on this job has already been decided' });
+        }
+
+        // A withdrawn quote can be resubmitted
+        if (quote) {
+            Object.assign(quote, fields, { status: 'submitted', decidedAt: undefined });
+        } else {
+            quote = new Quote({ ...fields, job: req.job._id, worker: req.user._id });
+        }
+        await quote.save();
+
+        await realtime.publish(req.job.user, 'quote.submitted', quoteEvent(quote));
+        await sendNotificationToUser(req.job.user, {
+            type: 'job_update',
+            job: req.job,
+            title: 'New Quote',
+            message: `${req.user.name} quoted ${quote.price} for "${req.job.title}"`
+        });
+
+        res.status(201).json(quote);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// List quotes: the client sees every quote, a worker only their own
+router.get('/', auth, loadJob, async (req, res) => {
+    try {
+        const query = { job: req.job._id };
+
+        if (!isJobOwner(req)) {
+            if (req.user.userType !== 'worker') {
+                return res.status(403).json({ message: 'Not authorized' });
+            }
+            query.worker = req.user._id;
+        }
+
+        if (req.query.status) {
+            query.status = String(req.query.status);
+        }
+
+        const quotes = await Quote.find(query)
+            .populate('worker', 'name rating completedJobs');
+
+        const sort = QUOTE_SORTS[req.query.sort] || QUOTE_SORTS.newest;
+        const sorted = quotes.map(quote => quote.toObject()).sort(sort);
+
+        // Summary to help the client compare quotes at a glance
+        const open = sorted.filter(quote => Quote.OPEN_STATUSES.includes(quote.status));
+        const prices = open.map(quote => quote.price);
+
+        res.json({
+            quotes: sorted,
+            summary: {
+                count: open.length,
+                lowestPrice: prices.length ? Math.min(...prices) : null,
+                highestPrice: prices.length ? Math.max(...prices) : null,
+                averagePrice: prices.length
+                    ? Math.round((prices.reduce((sum, price) => sum + price, 0) / prices.length) * 100) / 100
+                    : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Worker updates their own open quote
+router.patch('/:quoteId', auth, loadJob, async (req, res) => {
+    try {
+        const quote = await Quote.findOne({
+            _id: req.params.quoteId,
+            job: req.job._id,
+            worker: req.user._id
+        });
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Quote not found' });
+        }
+
+        if (!Quote.OPEN_STATUSES.includes(quote.status) || req.job.status !== 'pending') {
+            return res.status(400).json({ message: 'This quote can no longer be changed' });
+        }
+
+        const fields = parseQuoteFields({
+            price: req.body.price !== undefined ? req.body.price : quote.price,
+            estimatedDuration: req.body.estimatedDuration !== undefined
+                ? req.body.estimatedDuration
+                : quote.estimatedDuration,
+            message: req.body.message !== undefined ? req.body.message : quote.message
+        });
+        if (fields.error) {
+            return res.status(400).json({ message: fields.error });
+        }
+
+        Object.assign(quote, fields);
+        await quote.save();
+
+        await realtime.publish(req.job.user, 'quote.updated', quoteEvent(quote));
+
+        res.json(quote);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Worker withdraws their quote
+router.delete('/:quoteId', auth, loadJob, async (req, res) => {
+    try {
+        const quote = await Quote.findOneAndUpdate(
+            {
+                _id: req.params.quoteId,
+                job: req.job._id,
+                worker: req.user._id,
+                status: { $in: Quote.OPEN_STATUSES }
+            },
+            { $set: { status: 'withdrawn', decidedAt: new Date(), updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Open quote not found' });
+        }
+
+        await realtime.publish(req.job.user, 'quote.withdrawn', quoteEvent(quote));
+
+        res.json({ message: 'Quote withdrawn', quote });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Client adds a quote to (or removes it from) their shortlist
+router.post('/:quoteId/shortlist', auth, loadJob, async (req, res) => {
+    try {
+        if (!isJobOwner(req)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const shortlisted = req.body.shortlisted !== false;
+
+        const quote = await Quote.findOneAndUpdate(
+            {
+                _id: req.params.quoteId,
+                job: req.job._id,
+                status: shortlisted ? 'submitted' : 'shortlisted'
+            },
+            { $set: { status: shortlisted ? 'shortlisted' : 'submitted', updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!quote) {
+            return res.status(404).json({
+                message: shortlisted ? 'Submitted quote not found' : 'Shortlisted quote not found'
+            });
+        }
+
+        res.json(quote);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Client awards the job to a quote; every other open quote is declined
+router.post('/:quoteId/award', auth, loadJob, async (req, res) => {
+    try {
+        if (!isJobOwner(req)) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const quote = await Quote.findOne({
+            _id: req.params.quoteId,
+            job: req.job._id,
+            status: { $in: Quote.OPEN_STATUSES }
+        });
+
+        if (!quote) {
+            return res.status(404).json({ message: 'Open quote not found' });
+        }
+
+        if (req.job.status !== 'pending' || req.job.worker) {
+            return res.status(409).json({ message: 'Job has already been assigned' });
+        }
+
+        // The worker may have been booked elsewhere since quoting. The quote is
+        // awarded only if it is still open (the worker may withdraw it at any
+        // moment), and the transition is conditional, so the job can only ever
+        // be assigned once; if the transition fails the quote is reopened.
+        const now = new Date();
+        const { result: awarded, warnings } = await bookWorker(
+            quote.worker,
+            req.job,
+            async () => {
+                const awardedQuote = await Quote.findOneAndUpdate(
+                    { _id: quote._id, status: { $in: Quote.OPEN_STATUSES } },
+                    { $set: { status: 'awarded', decidedAt: now, updatedAt: now } },
+                    { new: true }
+                );
+                if (!awardedQuote) {
+                    return null;
+                }
+
+                try {
+                    const assignedJob = await Job.transition(req.job, 'in progress', {
+                        actor: req.user,
+                        role: 'client',
+                        reason: 'Quote awarded',
+                        set: {
+                            worker: quote.worker,
+                            awardedQuote: quote._id,
+                            agreedPrice: quote.price
+                        }
+                    });
+                    return { job: assignedJob, quote: awardedQuote };
+                } catch (error) {
+                    await Quote.updateOne(
+                        { _id: quote._id, status: 'awarded' },
+                        { $set: { status: quote.status, updatedAt: new Date() }, $unset: { decidedAt: 1 } }
+                    );
+                    throw error;
+                }
+            }
+        );
+
+        if (!awarded) {
+            return res.status(409).json({ message: 'This quote is no longer open' });
+        }
+        const { job } = awarded;
+
+        const declined = await Quote.find({
+            job: job._id,
+            _id: { $ne: awarded.quote._id },
+            status: { $in: Quote.OPEN_STATUSES }
+        }).select('worker');
+
+        await Quote.updateMany(
+            { _id: { $in: declined.map(other => other._id) } },
+            { $set: { status: 'declined', decidedAt: now, updatedAt: now } }
+        );
+
+        await realtime.publish(awarded.quote.worker, 'quote.awarded', quoteEvent(awarded.quote));
+        await realtime.publish(declined.map(other => other.worker), 'quote.declined', {
+            jobId: job._id.toString()
+        });
+
+        await sendNotificationToUser(awarded.quote.worker, {
+            type: 'job_update',
+            job,
+            title: 'Quote Accepted!',
+            message: `Your quote for "${job.title}" was accepted`
+        });
+
+        await Promise.all(declined.map(other => sendNotificationToUser(other.worker, {
+            type: 'job_update',
+            job,
+            title: 'Quote Declined',
+            message: `The client chose another quote for "${job.title}"`
+        })));
+
+        res.json({ job, quote: awarded.quote, declinedCount: declined.length, availabilityWarnings: warnings });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ message: error.message, conflicts: error.conflicts });
+    }
+});
+
+module.exports = router;
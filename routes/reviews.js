@@ -0,0 +1,126 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const { summarizeReviewStats } = require('../utils/reviews');
+const { checkContent } = require('../utils/contentFilter');
+
+// Public (revealed) reviews a user has received, with their rating summary
+router.get('/user/:userId', auth, async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID' });
+        }
+
+        const user = await User.findById(userId).select('name userType reviewStats');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const query = { reviewee: user._id, revealed: true, moderationStatus: 'visible' };
+        const [reviews, total] = await Promise.all([
+            Review.find(query)
+                .populate('reviewer', 'name')
+                .populate('job', 'title category')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Review.countDocuments(query)
+        ]);
+
+        res.json({
+            user: { _id: user._id, name: user.name, userType: user.userType },
+            summary: summarizeReviewStats(user.reviewStats),
+            reviews,
+            total,
+            page,
+            limit
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Reviewee publicly replies to a review they received
+router.post('/:id/reply', auth, async (req, res) => {
+    try {
+        const { body } = req.body;
+
+        if (!body || !body.trim()) {
+            return res.status(400).json({ message: 'Reply text is required' });
+        }
+
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.reviewee.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: 'Only the person reviewed can reply' });
+        }
+
+        if (!review.revealed || review.moderationStatus === 'removed') {
+            return res.status(400).json({ message: 'This review cannot be replied to' });
+        }
+
+        const check = checkContent(body);
+        if (check.flagged) {
+            return res.status(400).json({
+                message: 'Replies cannot contain offensive language, contact details or links',
+                reasons: check.reasons
+            });
+        }
+
+        const now = new Date();
+        review.reply = {
+            body,
+            createdAt: review.reply && review.reply.createdAt ? review.reply.createdAt : now,
+            updatedAt: now
+        };
+        await review.save();
+
+        res.json(review);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Flag a review as abusive or fake; it is hidden until a moderator decides
+router.post('/:id/report', auth, async (req, res) => {
+    try {
+        const { reason, details } = req.body;
+
+        const review = await Review.findById(req.params.id);
+        if (!review) {
+            return res.status(404).json({ message: 'Review not found' });
+        }
+
+        if (review.reviewer.toString() === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot report your own review' });
+        }
+
+        if (review.reports.some(report => report.reporter.toString() === req.user._id.toString())) {
+            return res.status(409).json({ message: 'You have already reported this review' });
+        }
+
+        review.reports.push({ reporter: req.user._id, reason, details });
+        if (review.moderationStatus === 'visible') {
+            review.moderationStatus = 'flagged';
+        }
+        await review.save();
+        await Review.syncAggregates(review._id);
+
+        res.status(201).json({ message: 'Review reported, a moderator will look at it' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+module.exports = router;
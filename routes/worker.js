@@ -3,8 +3,14 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const Worker = require('../models/Worker');
 const Job = require('../models/Job'); // Move import to top
+const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
 const { validateCoordinates, calculateDistance, logLocationInfo } = require('../utils/locationUtils');
+const { getApproximateAddress } = require('../utils/geolocation');
+const { publishUnreadCount } = require('../utils/notifications');
+const { saveSubscription } = require('../utils/push');
+const { getJobWindow, findBookedJobs, getConflicts, getBusyCalendar } = require('../utils/availability');
+const { LOCATION_REVEAL_HOURS, getLocationRevealTime } = require('../utils/jobSchedule');
 
 // Middleware to check if user is a worker
 const isWorker = (req, res, next) => {
@@ -14,38 +20,17 @@ const isWorker = (req, res, next) => {
     next();
 };
 
-// Add a middleware to include unread notification count in responses
-router.use(async (req, res, next) => {
-    if (req.user && req.user.userType === 'worker') {
-        try {
-            const worker = await Worker.findOne({ user: req.user._id });
-            if (worker && worker.notifications) {
-                const unreadCount = worker.notifications.filter(n => !n.isRead).length;
-                res.set('X-Unread-Notifications', unreadCount.toString());
-            }
-        } catch (err) {
-            console.error('Error counting notifications:', err);
-        }
-    }
-    next();
-});
-
-// Get all notifications for the authenticated worker
+// Get notifications for the authenticated worker (newest first).
+// Kept for existing clients; /api/notifications supports paging for every user.
 router.get('/notifications', auth, isWorker, async (req, res) => {
     try {
-        const worker = await Worker.findOne({ user: req.user._id })
-            .populate({
-                path: 'notifications.job',
-                select: 'title description status deadline address images'
-            });
-
-        if (!worker) {
-            return res.status(404).json({ message: 'Worker not found' });
-        }
-
-        // Ensure notifications array exists and sort by date (newest first)
-        const notifications = worker.notifications || [];
-        notifications.sort((a, b) => b.createdAt - a.createdAt);
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(Notification.listedFor(req.user._id))
+                .populate('job', 'title description status deadline address images')
+                .sort({ _id: -1 })
+                .limit(100),
+            Notification.unreadCountFor(req.user._id)
+        ]);
 
         res.json({
             success: true,
@@ -65,7 +50,7 @@ router.get('/notifications', auth, isWorker, async (req, res) => {
                     images: notification.job.images
                 } : null
             })),
-            unreadCount: notifications.filter(n => !n.isRead).length
+            unreadCount
         });
     } catch (error) {
         console.error('Error fetching notifications:', error);
@@ -77,7 +62,8 @@ router.get('/notifications', auth, isWorker, async (req, res) => {
     }
 });
 
-// Add push subscription endpoint
+// Add push subscription endpoint (kept for existing clients; any user can use
+// POST /api/notifications/push/subscriptions)
 router.post('/push-subscription', auth, isWorker, async (req, res) => {
     try {
         const { subscription } = req.body;
@@ -86,14 +72,13 @@ router.post('/push-subscription', auth, isWorker, async (req, res) => {
             return res.status(400).json({ message: 'Subscription data is required' });
         }
 
-        const worker = await Worker.findOneAndUpdate(
-            { user: req.user._id },
-            { pushSubscription: subscription },
-            { new: true }
-        );
+        const result = await saveSubscription(req.user, subscription, {
+            deviceLabel: req.body.deviceLabel,
+            userAgent: req.get('User-Agent')
+        });
 
-        if (!worker) {
-            return res.status(404).json({ message: 'Worker profile not found' });
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
         }
 
         res.json({ message: 'Push subscription saved successfully' });
@@ -113,21 +98,18 @@ router.patch('/notifications/:notificationId', auth, isWorker, async (req, res)
             return res.status(400).json({ message: 'Invalid notification ID' });
         }
 
-        const worker = await Worker.findOneAndUpdate(
-            {
-                user: req.user._id,
-                'notifications._id': notificationId
-            },
-            {
-                $set: { 'notifications.$.isRead': true }
-            },
+        const notification = await Notification.findOneAndUpdate(
+            { _id: notificationId, recipient: req.user._id },
+            { $set: { isRead: true, readAt: new Date(), expiresAt: Notification.readExpiry() } },
             { new: true }
         );
 
-        if (!worker) {
-            return res.status(404).json({ message: 'Worker or notification not found' });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
         }
 
+        await publishUnreadCount(req.user._id);
+
         res.json({ message: 'Notification marked as read' });
     } catch (error) {
         console.error('Error marking notification as read:', error);
@@ -155,12 +137,10 @@ router.get('/job-location/:jobId', auth, isWorker, async (req, res) => {
             return res.status(404).json({ message: 'Job not found or not assigned to you' });
         }
 
-        const jobDate = new Date(job.deadline);
-        const [hour, minute] = job.timeStart.split(':').map(Number);
-        jobDate.setHours(hour, minute, 0, 0);
-
-        const revealTime = new Date(jobDate);
-        revealTime.setHours(revealTime.getHours() - 3);
+        const revealTime = getLocationRevealTime(job);
+        if (!revealTime) {
+            return res.status(400).json({ message: 'Job has no valid start time' });
+        }
 
         const now = new Date();
 
@@ -176,7 +156,7 @@ router.get('/job-location/:jobId', auth, isWorker, async (req, res) => {
         } else {
             res.json({
                 available: false,
-                message: 'Exact location will be available 3 hours before the job starts',
+                message: `Exact location will be available ${LOCATION_REVEAL_HOURS} hours before the job starts`,
                 revealTime: revealTime
             });
         }
@@ -377,6 +357,7 @@ router.get('/nearby-jobs', auth, isWorker, async (req, res) => {
         const query = {
             status: 'pending',
             worker: { $exists: false },
+            ...Job.openToWorker(req.user._id),
             location: {
                 $nearSphere: {
                     $geometry: worker.location,
@@ -400,15 +381,36 @@ router.get('/nearby-jobs', auth, isWorker, async (req, res) => {
 
         console.log(`Found ${nearbyJobs.length} nearby jobs`);
 
+        // Flag the jobs the worker can't make; one lookup of their bookings covers all of them
+        const windows = new Map(nearbyJobs.map(job => [job._id.toString(), getJobWindow(job)]));
+        const starts = [...windows.values()].filter(Boolean);
+        const booked = starts.length > 0
+            ? await findBookedJobs([req.user._id], {
+                start: new Date(Math.min(...starts.map(window => window.start))),
+                end: new Date(Math.max(...starts.map(window => window.end)))
+            })
+            : [];
+
+        const conflictsByJob = new Map();
+        await Promise.all(nearbyJobs.map(async job => {
+            const window = windows.get(job._id.toString());
+            const conflicts = window
+                ? await getConflicts(worker, window, {
+                    timeZone: req.user.timeZone,
+                    booked: booked.filter(({ window: slot }) => slot.start < window.end && slot.end > window.start)
+                })
+                : [];
+            conflictsByJob.set(job._id.toString(), conflicts);
+        }));
+
         // Transform jobs to include approximate location and distance
-        const jobsWithApproximateLocation = nearbyJobs.map(job => {
+        let jobsWithApproximateLocation = nearbyJobs.map(job => {
             const jobObj = job.toObject();
+            const conflicts = conflictsByJob.get(job._id.toString());
+            jobObj.availability = { available: conflicts.length === 0, conflicts };
             
             // Create approximate location (just city/area)
-            const addressParts = job.address ? job.address.split(',') : ['Unknown'];
-            jobObj.approximateLocation = addressParts.length > 1 
-                ? addressParts.slice(1).join(',').trim()
-                : job.address;
+            jobObj.approximateLocation = getApproximateAddress(job.address);
                 
             // Calculate distance from worker using our utility
             if (job.location && job.location.coordinates) {
@@ -424,6 +426,10 @@ router.get('/nearby-jobs', auth, isWorker, async (req, res) => {
             return jobObj;
         });
 
+        if (req.query.availableOnly === 'true') {
+            jobsWithApproximateLocation = jobsWithApproximateLocation.filter(job => job.availability.available);
+        }
+
         res.json({
             success: true,
             count: jobsWithApproximateLocation.length,
@@ -466,6 +472,155 @@ router.get('/profile', auth, isWorker, async (req, res) => {
     }
 });
 
+// Check the time slots the worker entered, or explain what's wrong
+const parseWeeklySlots = (slots) => {
+    if (!Array.isArray(slots)) {
+        return { error: 'slots must be an array' };
+    }
+    for (const slot of slots) {
+        const day = Number(slot && slot.day);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            return { error: 'Each slot needs a day from 0 (Sunday) to 6 (Saturday)' };
+        }
+        if (!Worker.TIME_PATTERN.test(slot.start) || !Worker.TIME_PATTERN.test(slot.end) || slot.start === slot.end) {
+            return { error: 'Each slot needs a different start and end time in HH:MM format' };
+        }
+    }
+    return { slots: slots.map(slot => ({ day: Number(slot.day), start: slot.start, end: slot.end })) };
+};
+
+// Weekly availability and upcoming time off
+router.get('/availability', auth, isWorker, async (req, res) => {
+    try {
+        const worker = await Worker.findOne({ user: req.user._id }).select('weeklyAvailability timeOff');
+        if (!worker) {
+            return res.status(404).json({ message: 'Worker profile not found' });
+        }
+
+        const now = new Date();
+        res.json({
+            timeZone: req.user.timeZone,
+            weeklyAvailability: worker.weeklyAvailability,
+            timeOff: worker.timeOff.filter(block => block.end > now).sort((a, b) => a.start - b.start)
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Replace the weekly availability; an empty list means available any time
+router.put('/availability/weekly', auth, isWorker, async (req, res) => {
+    try {
+        const parsed = parseWeeklySlots(req.body.slots);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const worker = await Worker.findOneAndUpdate(
+            { user: req.user._id },
+            { $set: { weeklyAvailability: parsed.slots } },
+            { new: true, runValidators: true }
+        ).select('weeklyAvailability');
+
+        if (!worker) {
+            return res.status(404).json({ message: 'Worker profile not found' });
+        }
+
+        res.json({ timeZone: req.user.timeZone, weeklyAvailability: worker.weeklyAvailability });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Block out time off
+router.post('/availability/time-off', auth, isWorker, async (req, res) => {
+    try {
+        const start = new Date(req.body.start);
+        const end = new Date(req.body.end);
+
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            return res.status(400).json({ message: 'A valid start and a later end are required' });
+        }
+        if (end <= new Date()) {
+            return res.status(400).json({ message: 'Time off must end in the future' });
+        }
+
+        const worker = await Worker.findOne({ user: req.user._id });
+        if (!worker) {
+            return res.status(404).json({ message: 'Worker profile not found' });
+        }
+
+        worker.timeOff.push({ start, end, reason: req.body.reason });
+        await worker.save();
+
+        // Let the worker know which of their jobs the time off clashes with
+        const clashes = await findBookedJobs([req.user._id], { start, end });
+
+        res.status(201).json({
+            timeOff: worker.timeOff[worker.timeOff.length - 1],
+            conflictingJobs: clashes.map(({ job, window }) => ({
+                jobId: job._id,
+                title: job.title,
+                start: window.start,
+                end: window.end
+            }))
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+router.delete('/availability/time-off/:id', auth, isWorker, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid time off ID' });
+        }
+
+        const result = await Worker.updateOne(
+            { user: req.user._id, 'timeOff._id': req.params.id },
+            { $pull: { timeOff: { _id: req.params.id } } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ message: 'Time off not found' });
+        }
+
+        res.json({ message: 'Time off removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Busy calendar: booked jobs and time off between `from` and `to` (default: next 14 days)
+router.get('/calendar', auth, isWorker, async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from) || isNaN(to) || to <= from) {
+            return res.status(400).json({ message: 'Invalid date range' });
+        }
+        if (to - from > 92 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ message: 'Date range cannot exceed 92 days' });
+        }
+
+        const worker = await Worker.findOne({ user: req.user._id }).select('user weeklyAvailability timeOff');
+        if (!worker) {
+            return res.status(404).json({ message: 'Worker profile not found' });
+        }
+
+        res.json({
+            from,
+            to,
+            timeZone: req.user.timeZone,
+            weeklyAvailability: worker.weeklyAvailability,
+            busy: await getBusyCalendar(worker, from, to)
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // Get all categories
 router.get('/categories', auth, isWorker, async (req, res) => {
     try {
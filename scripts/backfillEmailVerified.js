@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Accounts created before email verification existed have no emailVerified
+// field, and the schema default would read them as unverified and lock them
+// out of verified-only routes. Mark them verified once, on deploy. Only
+// documents missing the field are touched, so the script is safe to re-run.
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const result = await User.collection.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  } catch (error) {
+    console.error('Email verification backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+backfill();
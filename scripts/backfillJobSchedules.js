@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const { buildJobSchedule, timeZoneForLocation } = require('../utils/jobSchedule');
+
+// Load environment variables
+dotenv.config();
+
+// Gives jobs posted before jobs had a time zone their timeZone, normalized
+// date and startsAt/endsAt instants. Jobs that already have them are left
+// alone, so the script is safe to run more than once.
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const jobs = await Job.find({ startsAt: null })
+      .select('deadline timeStart timeEnd timeZone location')
+      .lean();
+
+    console.log(`Found ${jobs.length} jobs without a schedule`);
+
+    let updated = 0;
+    for (const job of jobs) {
+      const schedule = buildJobSchedule({
+        ...job,
+        timeZone: job.timeZone || timeZoneForLocation(job.location && job.location.coordinates)
+      });
+
+      if (schedule.error) {
+        console.warn(`Skipping job ${job._id}: ${schedule.error}`);
+        continue;
+      }
+
+      await Job.updateOne({ _id: job._id }, { $set: schedule });
+      updated += 1;
+    }
+
+    await Job.syncIndexes();
+
+    console.log(`Backfilled ${updated} jobs`);
+  } catch (error) {
+    console.error('Job schedule backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+backfill();
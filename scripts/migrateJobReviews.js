@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const Review = require('../models/Review');
+
+// Load environment variables
+dotenv.config();
+
+// Moves the rating/review that used to be written onto Job documents into the
+// Review collection, then removes the old fields. Safe to run more than once.
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // The old fields are no longer in jobSchema, so read the raw documents
+    const legacyJobs = await Job.collection
+      .find({ rating: { $exists: true }, worker: { $exists: true } })
+      .toArray();
+
+    console.log(`Found ${legacyJobs.length} jobs with embedded reviews`);
+
+    let migrated = 0;
+    for (const job of legacyJobs) {
+      const exists = await Review.exists({ job: job._id, reviewer: job.user });
+
+      if (!exists) {
+        const review = await Review.create({
+          job: job._id,
+          reviewer: job.user,
+          reviewee: job.worker,
+          direction: 'client_to_worker',
+          rating: Math.min(Math.max(Math.round(job.rating), 1), 5),
+          comment: job.review,
+          revealed: true,
+          revealedAt: new Date(),
+          createdAt: job.completedAt || job.createdAt
+        });
+        await Review.syncAggregates(review._id);
+        migrated += 1;
+      }
+
+      await Job.collection.updateOne({ _id: job._id }, { $unset: { rating: '', review: '' } });
+    }
+
+    console.log(`Migrated ${migrated} reviews`);
+  } catch (error) {
+    console.error('Review migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate();
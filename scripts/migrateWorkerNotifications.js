@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Worker = require('../models/Worker');
+const Notification = require('../models/Notification');
+
+// Load environment variables
+dotenv.config();
+
+// Moves the notifications that used to be embedded in Worker documents into
+// the Notification collection, then removes the old array. Notifications keep
+// their original _id, so the script is safe to run more than once.
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // The old array is no longer in workerSchema, so read the raw documents
+    const workers = await Worker.collection
+      .find({ notifications: { $exists: true } })
+      .project({ user: 1, notifications: 1 })
+      .toArray();
+
+    console.log(`Found ${workers.length} workers with embedded notifications`);
+
+    let migrated = 0;
+    for (const worker of workers) {
+      const operations = (worker.notifications || []).map(embedded => {
+        const notification = new Notification({
+          _id: embedded._id,
+          recipient: worker.user,
+          type: embedded.type,
+          message: embedded.message,
+          job: embedded.job,
+          isRead: Boolean(embedded.isRead),
+          createdAt: embedded.createdAt
+        });
+
+        return {
+          updateOne: {
+            filter: { _id: notification._id },
+            update: { $setOnInsert: notification.toObject() },
+            upsert: true
+          }
+        };
+      });
+
+      if (operations.length > 0) {
+        const result = await Notification.bulkWrite(operations, { ordered: false });
+        migrated += result.upsertedCount;
+      }
+
+      await Worker.collection.updateOne({ _id: worker._id }, { $unset: { notifications: '' } });
+    }
+
+    // Make sure the TTL index exists before old notifications start piling up
+    await Notification.syncIndexes();
+
+    console.log(`Migrated ${migrated} notifications`);
+  } catch (error) {
+    console.error('Notification migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate();
@@ -3,13 +3,32 @@ const path = require('path');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { startWorker } = require('./utils/queue');
+const { registerTasks, scheduleRecurringTasks } = require('./utils/tasks');
 const authRoutes = require('./routes/auth');
 const jobRoutes = require('./routes/jobs');
 const workerRoutes = require('./routes/worker');
+const adminRoutes = require('./routes/admin');
+const disputeRoutes = require('./routes/disputes');
+const reviewRoutes = require('./routes/reviews');
+const conversationRoutes = require('./routes/conversations');
+const eventRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notifications');
+const calendarRoutes = require('./routes/calendar');
+const jobSeriesRoutes = require('./routes/jobSeries');
+const jobDraftRoutes = require('./routes/jobDrafts');
+const jobTemplateRoutes = require('./routes/jobTemplates');
+const { verifyMailConfig } = require('./utils/mail');
+const { verifySmsConfig } = require('./utils/sms');
+const { configureAdapter } = require('./utils/realtime');
 
 // Load env vars
 dotenv.config();
 
+// Refuse to start without a way to deliver account emails and texts
+verifyMailConfig();
+verifySmsConfig();
+
 // Initialize express app before connecting to database
 const app = express();
 
@@ -41,6 +60,16 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobRoutes);    
 app.use('/api/worker', workerRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/job-series', jobSeriesRoutes);
+app.use('/api/job-drafts', jobDraftRoutes);
+app.use('/api/job-templates', jobTemplateRoutes);
 
 // Global error handler middleware
 app.use((err, req, res, next) => {
@@ -71,9 +100,18 @@ const PORT = process.env.PORT || 5000;
 // Connect to database and then start server
 connectDB()
     .then(() => {
+        // Events from other instances and the task worker arrive through the database
+        configureAdapter();
+
         app.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
         });
+
+        // Background tasks; set QUEUE_WORKER_IN_PROCESS=false when running worker.js separately
+        registerTasks();
+        if (process.env.QUEUE_WORKER_IN_PROCESS !== 'false') {
+            return scheduleRecurringTasks().then(() => startWorker());
+        }
     })
     .catch(err => {
         console.error('Database connection failed:', err.message);
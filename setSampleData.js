@@ -36,6 +36,7 @@ const createSampleData = async () => {
         name: 'Amit Kumar',
         email: 'amit@example.com',
         password: hashedPassword,
+        emailVerified: true,
         phone: '+919876543210',
         userType: 'client',
         address: 'B-12, Vasant Vihar, New Delhi'
@@ -44,6 +45,7 @@ const createSampleData = async () => {
         name: 'Priya Sharma',
         email: 'priya@example.com',
         password: hashedPassword,
+        emailVerified: true,
         phone: '+919876543211',
         userType: 'client',
         address: 'C-45, Greater Kailash, New Delhi'
@@ -58,6 +60,7 @@ const createSampleData = async () => {
         name: 'Raj Singh',
         email: 'raj@example.com',
         password: hashedPassword,
+        emailVerified: true,
         phone: '+919876543212',
         userType: 'worker',
         rating: 4.5,
@@ -68,6 +71,7 @@ const createSampleData = async () => {
         name: 'Deepak Kumar',
         email: 'deepak@example.com',
         password: hashedPassword,
+        emailVerified: true,
         phone: '+919876543213',
         userType: 'worker',
         rating: 4.2,
@@ -78,6 +82,7 @@ const createSampleData = async () => {
         name: 'Sunita Verma',
         email: 'sunita@example.com',
         password: hashedPassword,
+        emailVerified: true,
         phone: '+919876543214',
         userType: 'worker',
         rating: 4.8,
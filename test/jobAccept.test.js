@@ -0,0 +1,99 @@
+// Concurrent POST /api/jobs/:id/accept against a real (in-memory) MongoDB:
+// Job.claim must let exactly one worker take the job.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Worker = require('../models/Worker');
+const { createSession } = require('../utils/tokens');
+const jobRoutes = require('../routes/jobs');
+
+const WORKER_COUNT = 8;
+
+let mongo;
+let server;
+let baseUrl;
+
+before(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/jobs', jobRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    if (server) {
+        server.close();
+    }
+    await mongoose.disconnect();
+    if (mongo) {
+        await mongo.stop();
+    }
+});
+
+const createWorker = async (index) => {
+    const user = await User.create({
+        name: `Worker ${index}`,
+        email: `worker${index}@example.com`,
+        password: 'password123',
+        userType: 'worker',
+        emailVerified: true
+    });
+    await Worker.create({
+        user: user._id,
+        skills: ['plumbing'],
+        location: { type: 'Point', coordinates: [-0.12, 51.5] }
+    });
+    const { token } = await createSession(user);
+    return { user, token };
+};
+
+test('only one of several concurrent accepts wins the job', async () => {
+    const client = await User.create({
+        name: 'Client',
+        email: 'client@example.com',
+        password: 'password123',
+        userType: 'client',
+        emailVerified: true
+    });
+    const job = await Job.create({
+        title: 'Fix a leaking tap',
+        description: 'Kitchen tap drips constantly',
+        category: 'plumbing',
+        location: { type: 'Point', coordinates: [-0.12, 51.5] },
+        address: '1 High Street, London',
+        budget: 60,
+        deadline: '2030-06-03',
+        timeStart: '09:00',
+        timeEnd: '11:00',
+        timeZone: 'Europe/London',
+        user: client._id
+    });
+
+    const workers = await Promise.all(Array.from({ length: WORKER_COUNT }, (_, index) => createWorker(index)));
+
+    const responses = await Promise.all(workers.map(({ token }) => fetch(`${baseUrl}/api/jobs/${job._id}/accept`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+    })));
+    const statuses = responses.map(response => response.status);
+
+    assert.equal(statuses.filter(status => status === 200).length, 1, `statuses: ${statuses}`);
+    assert.equal(statuses.filter(status => status === 409).length, WORKER_COUNT - 1, `statuses: ${statuses}`);
+
+    const winner = workers[statuses.indexOf(200)];
+    const saved = await Job.findById(job._id);
+    assert.equal(saved.status, 'in progress');
+    assert.equal(saved.worker.toString(), winner.user._id.toString());
+    assert.equal(saved.statusHistory.filter(entry => entry.to === 'in progress').length, 1);
+});
@@ -0,0 +1,101 @@
+// Job schedules must mean the same instants whatever time zone the server runs in
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildJobSchedule, resolveJobTimeZone } = require('../utils/jobSchedule');
+const Job = require('../models/Job');
+
+const SERVER_ZONES = ['UTC', 'America/Los_Angeles', 'Asia/Kolkata', 'Pacific/Auckland', 'Europe/London'];
+const ORIGINAL_TZ = process.env.TZ;
+
+// [name, input, expected deadline, startsAt, endsAt]
+const CASES = [
+    ['ordinary day',
+        { deadline: '2026-11-02', timeStart: '09:00', timeEnd: '11:00', timeZone: 'Europe/London' },
+        '2026-11-02T00:00:00.000Z', '2026-11-02T09:00:00.000Z', '2026-11-02T11:00:00.000Z'],
+    ['start skipped by spring-forward (New York) moves on by the gap',
+        { deadline: '2026-03-08', timeStart: '02:30', timeEnd: '04:00', timeZone: 'America/New_York' },
+        '2026-03-08T00:00:00.000Z', '2026-03-08T07:30:00.000Z', '2026-03-08T08:00:00.000Z'],
+    ['start repeated by fall-back (New York) takes the first occurrence',
+        { deadline: '2026-11-01', timeStart: '01:30', timeEnd: '03:00', timeZone: 'America/New_York' },
+        '2026-11-01T00:00:00.000Z', '2026-11-01T05:30:00.000Z', '2026-11-01T08:00:00.000Z'],
+    ['start skipped by spring-forward (Berlin)',
+        { deadline: '2026-03-29', timeStart: '02:30', timeEnd: '04:00', timeZone: 'Europe/Berlin' },
+        '2026-03-29T00:00:00.000Z', '2026-03-29T01:30:00.000Z', '2026-03-29T02:00:00.000Z'],
+    ['start repeated by fall-back (Berlin)',
+        { deadline: '2026-10-25', timeStart: '02:30', timeEnd: '04:00', timeZone: 'Europe/Berlin' },
+        '2026-10-25T00:00:00.000Z', '2026-10-25T00:30:00.000Z', '2026-10-25T03:00:00.000Z'],
+    ['end before start runs past midnight',
+        { deadline: '2026-06-15', timeStart: '22:00', timeEnd: '02:00', timeZone: 'Australia/Sydney' },
+        '2026-06-15T00:00:00.000Z', '2026-06-15T12:00:00.000Z', '2026-06-15T16:00:00.000Z'],
+    ['full timestamp is read as a date in the job\'s zone',
+        { deadline: '2026-06-15T23:30:00Z', timeStart: '09:00', timeEnd: '10:00', timeZone: 'Pacific/Auckland' },
+        '2026-06-16T00:00:00.000Z', '2026-06-15T21:00:00.000Z', '2026-06-15T22:00:00.000Z']
+];
+
+// Run a test body once per server time zone
+const inEachServerZone = (fn) => async () => {
+    for (const zone of SERVER_ZONES) {
+        process.env.TZ = zone;
+        await fn(zone);
+    }
+};
+
+after(() => {
+    if (ORIGINAL_TZ === undefined) {
+        delete process.env.TZ;
+    } else {
+        process.env.TZ = ORIGINAL_TZ;
+    }
+});
+
+test('changing TZ really changes the server\'s local time', () => {
+    const offsets = SERVER_ZONES.map(zone => {
+        process.env.TZ = zone;
+        return new Date(Date.UTC(2026, 0, 15)).getTimezoneOffset();
+    });
+    assert.equal(new Set(offsets).size, SERVER_ZONES.length - 1); // UTC and London agree in January
+});
+
+CASES.forEach(([name, input, deadline, startsAt, endsAt]) => {
+    test(`buildJobSchedule: ${name}`, inEachServerZone((zone) => {
+        const schedule = buildJobSchedule(input);
+        assert.ok(!schedule.error, schedule.error);
+        assert.equal(schedule.deadline.toISOString(), deadline, `deadline with TZ=${zone}`);
+        assert.equal(schedule.startsAt.toISOString(), startsAt, `startsAt with TZ=${zone}`);
+        assert.equal(schedule.endsAt.toISOString(), endsAt, `endsAt with TZ=${zone}`);
+    }));
+});
+
+test('buildJobSchedule rejects bad dates and times', () => {
+    const base = { deadline: '2026-11-02', timeStart: '09:00', timeEnd: '11:00', timeZone: 'Europe/London' };
+    assert.ok(buildJobSchedule({ ...base, deadline: '2026-02-30' }).error);
+    assert.ok(buildJobSchedule({ ...base, timeStart: '9:00' }).error);
+    assert.ok(buildJobSchedule({ ...base, timeEnd: '09:00' }).error);
+});
+
+test('resolveJobTimeZone prefers the requested zone, then the location, then the user\'s', inEachServerZone(() => {
+    assert.deepEqual(resolveJobTimeZone({ requested: 'Asia/Tokyo', coordinates: [-0.12, 51.5] }), { timeZone: 'Asia/Tokyo' });
+    assert.deepEqual(resolveJobTimeZone({ coordinates: [-74.0, 40.7] }), { timeZone: 'America/New_York' });
+    assert.deepEqual(resolveJobTimeZone({ userTimeZone: 'Europe/Paris' }), { timeZone: 'Europe/Paris' });
+    assert.ok(resolveJobTimeZone({ requested: 'Mars/Olympus_Mons' }).error);
+}));
+
+test('Job validation computes the same instants in every server zone', inEachServerZone(async (zone) => {
+    const job = new Job({
+        title: 'Night shift cleaning',
+        description: 'Office clean after hours',
+        category: 'cleaning',
+        location: { type: 'Point', coordinates: [-74.0, 40.7] },
+        address: '1 Broadway, New York',
+        budget: 120,
+        deadline: '2026-11-01',
+        timeStart: '01:30',
+        timeEnd: '03:00',
+        user: '507f1f77bcf86cd799439011'
+    });
+    await job.validate();
+
+    assert.equal(job.timeZone, 'America/New_York', `timeZone with TZ=${zone}`);
+    assert.equal(job.startsAt.toISOString(), '2026-11-01T05:30:00.000Z', `startsAt with TZ=${zone}`);
+    assert.equal(job.endsAt.toISOString(), '2026-11-01T08:00:00.000Z', `endsAt with TZ=${zone}`);
+}));
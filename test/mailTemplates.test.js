@@ -0,0 +1,21 @@
+// Account emails must not let a registered name inject markup
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const templates = require('../utils/mail/templates');
+
+const user = {
+    name: 'Support <a href="https://evil.example/login">Sign in here</a>',
+    email: 'victim@example.com'
+};
+
+['verifyEmail', 'resetPassword'].forEach(name => {
+    test(`${name} escapes the user's name in the HTML body`, () => {
+        const message = templates[name](user, 'abc123');
+
+        assert.ok(!message.html.includes('evil.example/login">'), message.html);
+        assert.ok(!message.html.includes('<a href="https://evil'), message.html);
+        assert.ok(message.html.includes('Support &lt;a href=&quot;https://evil.example/login&quot;&gt;Sign in here&lt;/a&gt;'));
+        // The real link is still there
+        assert.match(message.html, /<a href="[^"<>]+\?token=abc123">/);
+    });
+});
@@ -0,0 +1,85 @@
+// A user who switches off in-app notifications must not see them in the list
+// or the unread count, against a real (in-memory) MongoDB
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { createSession } = require('../utils/tokens');
+const { sendNotificationToUser } = require('../utils/notifications');
+const notificationRoutes = require('../routes/notifications');
+
+let mongo;
+let server;
+let baseUrl;
+
+before(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/notifications', notificationRoutes);
+
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    if (server) {
+        server.close();
+    }
+    await mongoose.disconnect();
+    if (mongo) {
+        await mongo.stop();
+    }
+});
+
+const createUser = async (email, inApp) => {
+    const user = await User.create({
+        name: 'Client',
+        email,
+        password: 'password123',
+        userType: 'client',
+        emailVerified: true,
+        notificationPreferences: { channels: { inApp, push: false, email: false, sms: false } }
+    });
+    const { token } = await createSession(user);
+    return { user, token };
+};
+
+const getNotifications = async (token) => {
+    const response = await fetch(`${baseUrl}/api/notifications`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+};
+
+test('notifications are left out of the list and unread count when inApp is false', async () => {
+    const muted = await createUser('muted@example.com', false);
+    const listening = await createUser('listening@example.com', true);
+
+    await Promise.all([muted, listening].map(({ user }) => sendNotificationToUser(user._id, {
+        type: 'job_update',
+        title: 'Job Update',
+        message: 'Your job was updated'
+    })));
+
+    const mutedList = await getNotifications(muted.token);
+    assert.equal(mutedList.notifications.length, 0);
+    assert.equal(mutedList.unreadCount, 0);
+    assert.equal(await Notification.unreadCountFor(muted.user._id), 0);
+
+    // The record is still kept for the other channels
+    const stored = await Notification.findOne({ recipient: muted.user._id });
+    assert.equal(stored.inApp, false);
+
+    const listeningList = await getNotifications(listening.token);
+    assert.equal(listeningList.notifications.length, 1);
+    assert.equal(listeningList.unreadCount, 1);
+});
@@ -0,0 +1,20 @@
+// utils/audit.js
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record an admin action in the audit trail
+ * @param {Object} req - Express request of the acting admin
+ * @param {Object} entry - { action, targetType, targetId, reason, metadata }
+ * @returns {Promise<Object>} Created audit log entry
+ */
+const recordAudit = (req, { action, targetType, targetId, reason, metadata }) => AuditLog.create({
+    actor: req.user._id,
+    action,
+    targetType,
+    targetId,
+    reason,
+    metadata,
+    ip: req.ip
+});
+
+module.exports = { recordAudit };
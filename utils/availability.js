@@ -0,0 +1,263 @@
+/**
+ * Worker availability
+ *
+ * A worker is free for a time slot when
+ * - it falls inside one of their weekly availability slots (if they set any),
+ *   evaluated in their own time zone,
+ * - it does not overlap a time-off block, and
+ * - it does not overlap a job they are already booked on.
+ *
+ * Bookings go through bookWorker(), which holds a per-worker lock from the
+ * check to the assignment so concurrent bookings cannot both pass.
+ */
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const Worker = require('../models/Worker');
+const User = require('../models/User');
+const BookingLock = require('../models/BookingLock');
+const ErrorResponse = require('./errorResponse');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('./notificationPreferences');
+const { buildJobSchedule } = require('./jobSchedule');
+
+// How long a booking may hold a worker's lock before it counts as abandoned
+const BOOKING_LOCK_MS = 30 * 1000;
+
+// Job statuses that keep a worker busy for the job's time slot
+const BUSY_STATUSES = ['in progress', 'awaiting confirmation'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (time) => {
+    const [hour, minute] = String(time).split(':').map(Number);
+    return hour * 60 + (minute || 0);
+};
+
+/**
+ * The time slot a job occupies
+ * @param {Object} job - Job, or anything with deadline, timeStart, timeEnd and timeZone
+ * @returns {Object|null} { start, end } or null if the job has no usable time
+ */
+const getJobWindow = (job) => {
+    if (job.startsAt && job.endsAt) {
+        return { start: job.startsAt, end: job.endsAt };
+    }
+
+    const schedule = buildJobSchedule(job);
+    return schedule.error ? null : { start: schedule.startsAt, end: schedule.endsAt };
+};
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+/**
+ * Assigned jobs of the given workers that overlap a time range
+ * @param {Array} userIds - Worker user ids
+ * @param {Object} range - { start, end }
+ * @param {Object} [options] - { excludeJobId }
+ * @returns {Promise<Array>} [{ job, window }]
+ */
+const findBookedJobs = async (userIds, range, { excludeJobId } = {}) => {
+    const query = {
+        worker: { $in: userIds },
+        status: { $in: BUSY_STATUSES },
+        startsAt: { $lt: range.end },
+        endsAt: { $gt: range.start }
+    };
+    if (excludeJobId) {
+        query._id = { $ne: excludeJobId };
+    }
+
+    const jobs = await Job.find(query).select('title status worker startsAt endsAt');
+
+    return jobs.map(job => ({ job, window: getJobWindow(job) }));
+};
+
+/**
+ * Local weekday and minutes since midnight of an instant in a time zone
+ */
+const localTime = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => parts.find(part => part.type === type).value;
+    return {
+        day: WEEKDAYS.indexOf(get('weekday')),
+        minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+    };
+};
+
+/**
+ * Whether a time slot fits the worker's weekly availability. A worker who has
+ * not set any weekly availability is treated as always available.
+ * @param {Object} worker - Worker with weeklyAvailability
+ * @param {Object} window - { start, end }
+ * @param {String} [timeZone] - Worker's time zone
+ * @returns {Boolean}
+ */
+const isWithinWeeklyAvailability = (worker, window, timeZone) => {
+    const slots = worker.weeklyAvailability || [];
+    if (slots.length === 0) {
+        return true;
+    }
+
+    const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+    const { day, minutes } = localTime(window.start, zone);
+    const duration = (window.end - window.start) / 60000;
+
+    return slots.some(slot => {
+        if (slot.day !== day) return false;
+        const slotStart = toMinutes(slot.start);
+        let slotEnd = toMinutes(slot.end);
+        // A slot ending at or before its start runs past midnight
+        if (slotEnd <= slotStart) slotEnd += 24 * 60;
+        return minutes >= slotStart && minutes + duration <= slotEnd;
+    });
+};
+
+/**
+ * Everything that stops a worker from taking a time slot
+ * @param {Object} worker - Worker document (weeklyAvailability, timeOff, user)
+ * @param {Object} window - { start, end }
+ * @param {Object} [options] - { timeZone, excludeJobId, booked (pre-fetched findBookedJobs result) }
+ * @returns {Promise<Array>} Conflicts: [{ type: 'job'|'time_off'|'outside_hours', ... }]
+ */
+const getConflicts = async (worker, window, { timeZone, excludeJobId, booked } = {}) => {
+    const conflicts = [];
+
+    const jobs = booked || await findBookedJobs([worker.user], window, { excludeJobId });
+    jobs.forEach(({ job, window: slot }) => {
+        conflicts.push({ type: 'job', jobId: job._id, title: job.title, start: slot.start, end: slot.end });
+    });
+
+    (worker.timeOff || []).forEach(block => {
+        if (overlaps(block, window)) {
+            conflicts.push({ type: 'time_off', timeOffId: block._id, start: block.start, end: block.end, reason: block.reason });
+        }
+    });
+
+    if (!isWithinWeeklyAvailability(worker, window, timeZone)) {
+        conflicts.push({ type: 'outside_hours' });
+    }
+
+    return conflicts;
+};
+
+/**
+ * A worker's busy calendar between two instants: booked jobs and time off
+ * @param {Object} worker - Worker document
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Blocks sorted by start
+ */
+const getBusyCalendar = async (worker, from, to) => {
+    const range = { start: from, end: to };
+    const booked = await findBookedJobs([worker.user], range);
+
+    const blocks = booked.map(({ job, window }) => ({
+        type: 'job',
+        jobId: job._id,
+        title: job.title,
+        status: job.status,
+        start: window.start,
+        end: window.end
+    }));
+
+    (worker.timeOff || []).forEach(block => {
+        if (overlaps(block, range)) {
+            blocks.push({ type: 'time_off', timeOffId: block._id, reason: block.reason, start: block.start, end: block.end });
+        }
+    });
+
+    return blocks.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Make sure a worker can be booked on a job before assigning it to them.
+ * Overlapping jobs and time off block the booking; a slot outside the
+ * worker's weekly hours does not (they may choose to take it) but is reported.
+ * @param {String|ObjectId} userId - Worker's user id
+ * @param {Object} job - Job about to be assigned
+ * @returns {Promise<Array>} Non-blocking conflicts
+ * @throws {ErrorResponse} 409 with `conflicts` if the worker is booked or off
+ */
+const assertWorkerAvailable = async (userId, job) => {
+    const window = getJobWindow(job);
+    if (!window) {
+        return [];
+    }
+
+    const [worker, user] = await Promise.all([
+        Worker.findOne({ user: userId }).select('user weeklyAvailability timeOff'),
+        User.findById(userId).select('timeZone')
+    ]);
+
+    const conflicts = await getConflicts(worker || { user: userId }, window, {
+        timeZone: user && user.timeZone,
+        excludeJobId: job._id
+    });
+
+    const blocking = conflicts.filter(conflict => conflict.type !== 'outside_hours');
+    if (blocking.length > 0) {
+        const error = new ErrorResponse(blocking[0].type === 'job'
+            ? `The worker is already booked on "${blocking[0].title}" at this time`
+            : 'The worker is unavailable (time off) at this time', 409);
+        error.conflicts = blocking;
+        throw error;
+    }
+
+    return conflicts;
+};
+
+// Take the worker's booking lock, or fail if another booking holds it
+const acquireBookingLock = async (userId) => {
+    const token = crypto.randomBytes(12).toString('hex');
+    const now = new Date();
+    try {
+        // Matches a free (expired) lock; otherwise the upsert collides on _id
+        await BookingLock.updateOne(
+            { _id: userId, expiresAt: { $lte: now } },
+            { $set: { token, expiresAt: new Date(now.getTime() + BOOKING_LOCK_MS) } },
+            { upsert: true }
+        );
+        return token;
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ErrorResponse('Another booking for this worker is in progress, please try again', 409);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Check a worker is free for a job and assign them, holding the worker's
+ * booking lock throughout so two overlapping bookings cannot both succeed.
+ * @param {ObjectId|String} userId - Worker's user id
+ * @param {Object} job - Job (or its new schedule) to book them for
+ * @param {Function} assign - Makes the assignment; runs only if they are free
+ * @returns {Promise<Object>} { result (what assign returned), warnings }
+ * @throws {ErrorResponse} 409 if the worker is busy or being booked by another request
+ */
+const bookWorker = async (userId, job, assign) => {
+    const token = await acquireBookingLock(userId);
+    try {
+        const warnings = await assertWorkerAvailable(userId, job);
+        const result = await assign();
+        return { result, warnings };
+    } finally {
+        await BookingLock.deleteOne({ _id: userId, token });
+    }
+};
+
+module.exports = {
+    BUSY_STATUSES,
+    getJobWindow,
+    findBookedJobs,
+    isWithinWeeklyAvailability,
+    getConflicts,
+    getBusyCalendar,
+    assertWorkerAvailable,
+    bookWorker
+};
@@ -0,0 +1,56 @@
+/**
+ * Two-sided job completion helpers
+ */
+const Job = require('../models/Job');
+const { sendNotificationToUser } = require('./notifications');
+
+const CONFIRM_WINDOW_HOURS = parseFloat(process.env.COMPLETION_CONFIRM_WINDOW_HOURS) || 72;
+
+/**
+ * When a completion submitted now must be confirmed by
+ * @returns {Date} Confirmation deadline
+ */
+const getConfirmDeadline = () => new Date(Date.now() + CONFIRM_WINDOW_HOURS * 60 * 60 * 1000);
+
+/**
+ * Confirm every submitted completion whose confirmation window has passed
+ * @returns {Promise<Number>} Number of jobs auto-confirmed
+ */
+const autoConfirmDueCompletions = async () => {
+    const dueJobs = await Job.find({
+        status: 'awaiting confirmation',
+        activeDispute: null,
+        'completion.confirmBy': { $lte: new Date() }
+    });
+
+    let confirmed = 0;
+    for (const job of dueJobs) {
+        try {
+            const updated = await Job.transition(job, 'completed', {
+                role: 'system',
+                reason: 'Confirmation window expired'
+            });
+            confirmed += 1;
+
+            await sendNotificationToUser(updated.worker, {
+                type: 'job_update',
+                job: updated,
+                title: 'Job Completed',
+                message: `"${updated.title}" was confirmed as completed`
+            });
+        } catch (error) {
+            // 409 means the client responded at the same moment; nothing to do
+            if (error.statusCode !== 409) {
+                console.error(`Error auto-confirming job ${job._id}:`, error);
+            }
+        }
+    }
+
+    return confirmed;
+};
+
+module.exports = {
+    CONFIRM_WINDOW_HOURS,
+    getConfirmDeadline,
+    autoConfirmDueCompletions
+};
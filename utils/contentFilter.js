@@ -0,0 +1,71 @@
+/**
+ * Content filter for user-written text (reviews, replies, messages)
+ *
+ * Flags profanity and attempts to share contact details off-platform.
+ */
+
+// Kept short on purpose; extend via CONTENT_FILTER_WORDS (comma separated)
+const DEFAULT_BLOCKED_WORDS = [
+    'fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'dick', 'slut', 'whore',
+    'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'gandu', 'harami'
+];
+
+const blockedWords = DEFAULT_BLOCKED_WORDS.concat(
+    (process.env.CONTENT_FILTER_WORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+);
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+\s*(?:@|\(at\)|\[at\])\s*[A-Z0-9.-]+\s*(?:\.|\(dot\)|\[dot\])\s*[A-Z]{2,}/gi;
+// 10+ digits, allowing spaces, dashes, dots, brackets and a leading +
+const PHONE_PATTERN = /\+?\d[\d\s().-]{8,}\d/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const profanityPattern = new RegExp(`\\b(?:${blockedWords.map(escapeRegex).join('|')})\\w*`, 'gi');
+
+const countDigits = (value) => (value.match(/\d/g) || []).length;
+
+/**
+ * Check text for profanity and contact details
+ * @param {String} text - Text to check
+ * @returns {Object} { flagged, reasons: ['profanity' | 'contact_info' | 'link'] }
+ */
+const checkContent = (text) => {
+    const reasons = [];
+    if (!text) {
+        return { flagged: false, reasons };
+    }
+
+    if (new RegExp(profanityPattern.source, 'i').test(text)) {
+        reasons.push('profanity');
+    }
+
+    const phones = (text.match(PHONE_PATTERN) || []).filter(match => countDigits(match) >= 10);
+    if (phones.length > 0 || new RegExp(EMAIL_PATTERN.source, 'i').test(text)) {
+        reasons.push('contact_info');
+    }
+
+    if (new RegExp(URL_PATTERN.source, 'i').test(text)) {
+        reasons.push('link');
+    }
+
+    return { flagged: reasons.length > 0, reasons };
+};
+
+/**
+ * Replace phone numbers and email addresses in text
+ * @param {String} text - Text to mask
+ * @param {String} replacement - What to put in their place
+ * @returns {String} Masked text
+ */
+const maskContactInfo = (text, replacement = '[hidden]') => {
+    if (!text) return text;
+    return text
+        .replace(EMAIL_PATTERN, replacement)
+        .replace(PHONE_PATTERN, match => (countDigits(match) >= 10 ? replacement : match));
+};
+
+module.exports = {
+    checkContent,
+    maskContactInfo
+};
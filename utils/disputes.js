@@ -0,0 +1,89 @@
+/**
+ * Dispute helpers shared by the dispute and job routes
+ */
+const Job = require('../models/Job');
+const Dispute = require('../models/Dispute');
+const ErrorResponse = require('./errorResponse');
+const { sendNotificationToUser } = require('./notifications');
+
+// Job statuses in which either party may raise a dispute
+const DISPUTABLE_STATUSES = ['in progress', 'awaiting confirmation', 'completed'];
+
+/**
+ * Open a dispute on a job and freeze the job until it is resolved.
+ * A client disputing a submitted completion also moves the job to 'disputed'.
+ *
+ * @param {Object} job - Job document
+ * @param {Object} user - User opening the dispute (client or assigned worker)
+ * @param {Object} details - { reason, description, evidence: [url] }
+ * @returns {Promise<Object>} { dispute, job }
+ * @throws {ErrorResponse} 403 not a party, 400 wrong job state, 409 already disputed
+ */
+const openDispute = async (job, user, { reason, description, evidence = [] }) => {
+    const role = job.roleOf(user);
+
+    if (!job.worker || !['client', 'worker'].includes(role) ||
+        (role === 'worker' && job.worker.toString() !== user._id.toString())) {
+        throw new ErrorResponse('Only the client and the assigned worker can dispute a job', 403);
+    }
+
+    if (!reason) {
+        throw new ErrorResponse('A reason is required to open a dispute', 400);
+    }
+
+    if (job.activeDispute) {
+        throw new ErrorResponse('This job already has an open dispute', 409);
+    }
+
+    if (!DISPUTABLE_STATUSES.includes(job.status)) {
+        throw new ErrorResponse(`A ${job.status} job cannot be disputed`, 400);
+    }
+
+    const dispute = await Dispute.create({
+        job: job._id,
+        client: job.user,
+        worker: job.worker,
+        openedBy: user._id,
+        reason,
+        description,
+        jobStatusAtOpen: job.status,
+        evidence: evidence.map(url => ({ url, uploadedBy: user._id }))
+    });
+
+    let frozenJob;
+    try {
+        if (job.status === 'awaiting confirmation' && role === 'client') {
+            frozenJob = await Job.transition(job, 'disputed', {
+                actor: user,
+                reason,
+                set: { activeDispute: dispute._id }
+            });
+        } else {
+            frozenJob = await Job.findOneAndUpdate(
+                { _id: job._id, status: job.status, activeDispute: null },
+                { $set: { activeDispute: dispute._id } },
+                { new: true }
+            );
+            if (!frozenJob) {
+                throw new ErrorResponse('Job was updated by someone else, please refresh and try again', 409);
+            }
+        }
+    } catch (error) {
+        await Dispute.deleteOne({ _id: dispute._id });
+        throw error;
+    }
+
+    await sendNotificationToUser(role === 'client' ? job.worker : job.user, {
+        type: 'job_update',
+        job,
+        title: 'Dispute Opened',
+        message: `The ${role} opened a dispute on "${job.title}": ${reason}`
+    });
+
+    return { dispute, job: frozenJob };
+};
+
+module.exports = {
+    DISPUTABLE_STATUSES,
+    openDispute
+};
@@ -0,0 +1,148 @@
+/**
+ * iCalendar (RFC 5545) export of jobs
+ *
+ * Each job is one VEVENT whose UID stays the same for the life of the job,
+ * so calendar apps update the event in place when it is rescheduled and
+ * drop it when it is cancelled. Times are written in UTC; apps show them in
+ * the user's own time zone.
+ */
+const { getJobWindow } = require('./availability');
+const { getLocationRevealTime } = require('./jobSchedule');
+const { getApproximateAddress } = require('./geolocation');
+
+const PRODUCT_ID = '-//Job Marketplace//Jobs Calendar//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'jobs.local';
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// How often subscribed calendar apps should re-fetch the feed
+const FEED_REFRESH = 'PT1H';
+
+const EVENT_STATUSES = {
+    'pending': 'TENTATIVE',
+    'in progress': 'CONFIRMED',
+    'awaiting confirmation': 'CONFIRMED',
+    'disputed': 'CONFIRMED',
+    'completed': 'CONFIRMED',
+    'cancelled': 'CANCELLED',
+    'expired': 'CANCELLED'
+};
+
+// 20261020T083000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    if (Buffer.byteLength(line, 'utf8') <= 75) {
+        return line;
+    }
+
+    const chunks = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char, 'utf8');
+        if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+};
+
+/**
+ * The address a user may see for a job right now. Clients always see their
+ * own address; the assigned worker sees only the area until the reveal time.
+ * @param {Object} job - Job document
+ * @param {Object} user - User the calendar is for
+ * @param {Date} [now] - Current time
+ * @returns {String}
+ */
+const visibleAddress = (job, user, now = new Date()) => {
+    if (job.user && job.user.toString() === user._id.toString()) {
+        return job.address;
+    }
+    const revealTime = getLocationRevealTime(job);
+    return revealTime && now >= revealTime ? job.address : getApproximateAddress(job.address);
+};
+
+/**
+ * VEVENT lines for a job
+ * @param {Object} job - Job document
+ * @param {Object} user - User the calendar is for
+ * @returns {Array<String>} Unfolded lines, or [] if the job has no usable time
+ */
+const buildEvent = (job, user) => {
+    const window = getJobWindow(job);
+    if (!window) {
+        return [];
+    }
+
+    const isClient = job.user && job.user.toString() === user._id.toString();
+    const description = [
+        job.description,
+        `Status: ${job.status}`,
+        job.agreedPrice !== undefined ? `Agreed price: ${job.agreedPrice}` : `Budget: ${job.budget}`,
+        !isClient && visibleAddress(job, user) !== job.address
+            ? 'The exact address is shown a few hours before the job starts.'
+            : null
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:job-${job._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `LAST-MODIFIED:${formatDate(job.updatedAt || job.createdAt || new Date())}`,
+        `SEQUENCE:${job.calendarSequence || 0}`,
+        `DTSTART:${formatDate(window.start)}`,
+        `DTEND:${formatDate(window.end)}`,
+        `SUMMARY:${escapeText(job.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `LOCATION:${escapeText(visibleAddress(job, user))}`,
+        `STATUS:${EVENT_STATUSES[job.status] || 'CONFIRMED'}`,
+        `URL:${clientUrl()}/jobs/${job._id}`,
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * A complete calendar document
+ * @param {Array} jobs - Job documents
+ * @param {Object} user - User the calendar is for
+ * @param {Object} [options] - { name } for subscribed feeds
+ * @returns {String} text/calendar body
+ */
+const buildCalendar = (jobs, user, { name } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH}`);
+        lines.push(`X-PUBLISHED-TTL:${FEED_REFRESH}`);
+    }
+
+    jobs.forEach(job => lines.push(...buildEvent(job, user)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    visibleAddress,
+    buildCalendar
+};
@@ -0,0 +1,122 @@
+/**
+ * Turning posted fields into a new job
+ *
+ * The same checks apply whether a client posts a job directly, publishes a
+ * draft or instantiates a saved template, so they live here.
+ */
+const { TIME_PATTERN, buildJobSchedule, resolveJobTimeZone } = require('./jobSchedule');
+
+// Everything a job needs before workers can see it
+const REQUIRED_JOB_FIELDS = [
+    'title',
+    'description',
+    'category',
+    'address',
+    'latitude',
+    'longitude',
+    'budget',
+    'deadline',
+    'timeStart',
+    'timeEnd'
+];
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Required fields that have not been filled in yet
+ * @param {Object} fields - Posted fields or a draft
+ * @returns {Array<String>}
+ */
+const missingJobFields = (fields) => REQUIRED_JOB_FIELDS.filter(field => isBlank(fields[field]));
+
+/**
+ * Pick job fields out of a request body for a draft or template. A blank
+ * value clears the field. Times and the time zone are checked as they come
+ * in; whether the whole job makes sense is checked when it is published.
+ * @param {Object} body - Request body
+ * @param {Array<String>} allowed - Fields to take
+ * @returns {Object} { fields } or { error }
+ */
+const readJobFields = (body, allowed) => {
+    const fields = {};
+    allowed.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = isBlank(body[field]) ? undefined : body[field];
+        }
+    });
+
+    if (['timeStart', 'timeEnd'].some(field => fields[field] !== undefined && !TIME_PATTERN.test(fields[field]))) {
+        return { error: 'Start and end times must be in HH:MM (24-hour) format' };
+    }
+    if (fields.timeZone !== undefined) {
+        const zone = resolveJobTimeZone({ requested: fields.timeZone });
+        if (zone.error) {
+            return zone;
+        }
+    }
+
+    return { fields };
+};
+
+/**
+ * Validate a complete set of job fields and build the document to create
+ * @param {Object} fields - { title, description, category, address, latitude, longitude, budget, deadline, timeStart, timeEnd, timeZone, radius, images }
+ * @param {Object} user - The posting client
+ * @returns {Object} { data } or { error, missingFields }
+ */
+const buildJobData = (fields, user) => {
+    const missingFields = missingJobFields(fields);
+    if (missingFields.length > 0) {
+        return { error: `Missing required fields: ${missingFields.join(', ')}`, missingFields };
+    }
+
+    const coordinates = [parseFloat(fields.longitude), parseFloat(fields.latitude)];
+    if (!coordinates[0] || !coordinates[1]) {
+        return { error: 'Invalid coordinates' };
+    }
+
+    const budget = parseFloat(fields.budget);
+    if (isNaN(budget) || budget < 0) {
+        return { error: 'Budget must be a positive number' };
+    }
+
+    // Times are wall-clock times where the job is, unless the client says otherwise
+    const zone = resolveJobTimeZone({
+        requested: fields.timeZone,
+        coordinates,
+        userTimeZone: user.timeZone
+    });
+    const schedule = zone.error ? zone : buildJobSchedule({
+        deadline: fields.deadline,
+        timeStart: fields.timeStart,
+        timeEnd: fields.timeEnd,
+        timeZone: zone.timeZone
+    });
+    if (schedule.error) {
+        return { error: schedule.error };
+    }
+
+    const data = {
+        title: fields.title,
+        description: fields.description,
+        category: fields.category,
+        address: fields.address,
+        location: { type: 'Point', coordinates },
+        budget,
+        ...schedule,
+        user: user._id,
+        images: fields.images || []
+    };
+    if (!isBlank(fields.radius)) {
+        data.radius = parseFloat(fields.radius);
+    }
+
+    return { data };
+};
+
+module.exports = {
+    REQUIRED_JOB_FIELDS,
+    missingJobFields,
+    readJobFields,
+    buildJobData
+};
@@ -0,0 +1,210 @@
+/**
+ * Job schedule helpers
+ *
+ * A job is posted as a calendar date plus HH:MM start and end times, which
+ * mean wall-clock time where the job takes place. The job's time zone comes
+ * from the client or, failing that, from its coordinates. From these we work
+ * out the real instants the job starts and ends (Job.startsAt / Job.endsAt),
+ * so nothing depends on the time zone the server happens to run in.
+ */
+const tzLookup = require('tz-lookup');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('./notificationPreferences');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Assigned workers see the exact address this long before the job starts
+const LOCATION_REVEAL_HOURS = 3;
+
+/**
+ * IANA time zone at a location
+ * @param {Array<Number>} coordinates - [longitude, latitude]
+ * @returns {String|null}
+ */
+const timeZoneForLocation = (coordinates) => {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) {
+        return null;
+    }
+    try {
+        return tzLookup(coordinates[1], coordinates[0]);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Pick the time zone for a job: the one the client sent, else the one at the
+ * job's location, else the poster's own, else the default.
+ * @param {Object} options - { requested, coordinates, userTimeZone }
+ * @returns {Object} { timeZone } or { error } if the requested zone is unknown
+ */
+const resolveJobTimeZone = ({ requested, coordinates, userTimeZone }) => {
+    if (requested !== undefined && requested !== null && requested !== '') {
+        return isValidTimeZone(requested)
+            ? { timeZone: requested }
+            : { error: 'Unknown time zone, use an IANA name such as "Europe/London"' };
+    }
+    return {
+        timeZone: timeZoneForLocation(coordinates)
+            || (isValidTimeZone(userTimeZone) ? userTimeZone : DEFAULT_TIME_ZONE)
+    };
+};
+
+// Offset (ms) of a time zone from UTC at an instant
+const zoneOffset = (timestamp, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp));
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time occurs in a time zone. A time skipped by a
+ * DST change moves forward by the gap; a repeated time resolves to its first
+ * occurrence.
+ * @param {Object} date - { year, month (1-12), day }
+ * @param {String} time - HH:MM
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date}
+ */
+const zonedTimeToInstant = ({ year, month, day }, time, timeZone) => {
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Try the offsets in force a day either side; at most one DST change lies between
+    const offsetBefore = zoneOffset(wallClock - DAY_MS, timeZone);
+    const offsetAfter = zoneOffset(wallClock + DAY_MS, timeZone);
+    const matches = [offsetBefore, offsetAfter]
+        .map(offset => wallClock - offset)
+        .filter(candidate => zoneOffset(candidate, timeZone) === wallClock - candidate);
+
+    if (matches.length > 0) {
+        return new Date(Math.min(...matches));
+    }
+    // Skipped by the clocks going forward
+    return new Date(wallClock - offsetBefore);
+};
+
+/**
+ * The calendar date a job is on. Date-only strings and UTC midnights (how
+ * dates are stored) are taken as written; any other timestamp is read in the
+ * job's time zone.
+ * @param {String|Date} value - The posted or stored deadline
+ * @param {String} timeZone - Job's time zone
+ * @returns {Object|null} { year, month, day }
+ */
+const parseCalendarDate = (value, timeZone) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const match = typeof value === 'string' && DATE_ONLY_PATTERN.exec(value.trim());
+    if (match) {
+        const [year, month, day] = match.slice(1).map(Number);
+        const check = new Date(Date.UTC(year, month - 1, day));
+        return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? { year, month, day } : null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date)) {
+        return null;
+    }
+    if (date.getTime() % DAY_MS === 0) {
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return { year: get('year'), month: get('month'), day: get('day') };
+};
+
+/**
+ * Validate a job's date and times and work out when it really starts and ends.
+ * An end at or before the start means the job runs past midnight.
+ * @param {Object} schedule - { deadline, timeStart, timeEnd, timeZone }
+ * @returns {Object} { deadline (UTC midnight of the date), timeStart, timeEnd, timeZone, startsAt, endsAt } or { error }
+ */
+const buildJobSchedule = ({ deadline, timeStart, timeEnd, timeZone }) => {
+    const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+
+    const date = parseCalendarDate(deadline, zone);
+    if (!date) {
+        return { error: 'A valid date is required (YYYY-MM-DD)' };
+    }
+    if (!TIME_PATTERN.test(timeStart) || !TIME_PATTERN.test(timeEnd)) {
+        return { error: 'Start and end times must be in HH:MM (24-hour) format' };
+    }
+    if (timeStart === timeEnd) {
+        return { error: 'Start and end times must differ' };
+    }
+
+    const startsAt = zonedTimeToInstant(date, timeStart, zone);
+    let endsAt = zonedTimeToInstant(date, timeEnd, zone);
+    if (endsAt <= startsAt) {
+        const nextDay = new Date(Date.UTC(date.year, date.month - 1, date.day + 1));
+        endsAt = zonedTimeToInstant({
+            year: nextDay.getUTCFullYear(),
+            month: nextDay.getUTCMonth() + 1,
+            day: nextDay.getUTCDate()
+        }, timeEnd, zone);
+    }
+
+    return {
+        deadline: new Date(Date.UTC(date.year, date.month - 1, date.day)),
+        timeStart,
+        timeEnd,
+        timeZone: zone,
+        startsAt,
+        endsAt
+    };
+};
+
+/**
+ * When the assigned worker gets to see the job's exact address
+ * @param {Object} job - Job document
+ * @returns {Date|null}
+ */
+const getLocationRevealTime = (job) => {
+    const startsAt = job.startsAt || buildJobSchedule(job).startsAt;
+    return startsAt ? new Date(startsAt.getTime() - LOCATION_REVEAL_HOURS * HOUR_MS) : null;
+};
+
+/**
+ * A job's start as people there would write it, e.g. "Tue 20 Oct, 14:00"
+ * @param {Date} instant - Instant to show
+ * @param {String} timeZone - Job's time zone
+ * @returns {String}
+ */
+const formatJobTime = (instant, timeZone) => new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+}).format(instant);
+
+module.exports = {
+    TIME_PATTERN,
+    LOCATION_REVEAL_HOURS,
+    timeZoneForLocation,
+    resolveJobTimeZone,
+    zonedTimeToInstant,
+    buildJobSchedule,
+    getLocationRevealTime,
+    formatJobTime
+};
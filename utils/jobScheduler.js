@@ -0,0 +1,174 @@
+/**
+ * Time-based job housekeeping, run as recurring tasks (see utils/tasks.js)
+ *
+ * - Pending jobs nobody took before their start time are expired and the
+ *   client is invited to repost them.
+ * - Both parties of an assigned job are reminded at JOB_REMINDER_OFFSETS_HOURS
+ *   before it starts.
+ * - In-progress jobs past their end time are flagged as overdue.
+ */
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const { formatJobTime } = require('./jobSchedule');
+const { sendNotificationToUser, notifyWorkersAboutJob } = require('./notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const EXPIRY_GRACE_MINUTES = parseFloat(process.env.JOB_EXPIRY_GRACE_MINUTES) || 0;
+const OVERDUE_GRACE_MINUTES = parseFloat(process.env.JOB_OVERDUE_GRACE_MINUTES) || 60;
+const REMINDER_OFFSETS_HOURS = (process.env.JOB_REMINDER_OFFSETS_HOURS || '24,2')
+    .split(',')
+    .map(offset => parseFloat(offset))
+    .filter(offset => offset > 0)
+    .sort((a, b) => b - a);
+
+const formatOffset = (hours) => (hours >= 24 && hours % 24 === 0
+    ? `${hours / 24} day${hours === 24 ? '' : 's'}`
+    : `${hours} hour${hours === 1 ? '' : 's'}`);
+
+/**
+ * Expire pending, unassigned jobs whose start time has passed
+ * @returns {Promise<Number>} Number of jobs expired
+ */
+const expireStaleJobs = async () => {
+    const candidates = await Job.find({
+        status: 'pending',
+        worker: null,
+        activeDispute: null,
+        startsAt: { $lte: new Date(Date.now() - EXPIRY_GRACE_MINUTES * 60 * 1000) }
+    });
+
+    let expired = 0;
+    for (const job of candidates) {
+        try {
+            const updated = await Job.transition(job, 'expired', {
+                role: 'system',
+                reason: 'Start time passed without a worker'
+            });
+            expired += 1;
+
+            await Quote.updateMany(
+                { job: job._id, status: { $in: Quote.OPEN_STATUSES } },
+                { $set: { status: 'declined', decidedAt: new Date() } }
+            );
+
+            await sendNotificationToUser(updated.user, {
+                type: 'job_update',
+                job: updated,
+                title: 'Job Expired',
+                message: `Nobody took "${updated.title}" before its start time. You can repost it with a new date.`
+            });
+
+            await notifyWorkersAboutJob(updated, {
+                title: 'Job Expired',
+                message: `"${updated.title}" is no longer available`,
+                includeAssigned: false
+            });
+        } catch (error) {
+            // 409 means someone accepted it at the same moment; nothing to do
+            if (error.statusCode !== 409) {
+                console.error(`Error expiring job ${job._id}:`, error);
+            }
+        }
+    }
+
+    return expired;
+};
+
+/**
+ * Remind client and worker of assigned jobs that start soon
+ * @returns {Promise<Number>} Number of reminders sent (per job)
+ */
+const sendJobReminders = async () => {
+    if (REMINDER_OFFSETS_HOURS.length === 0) {
+        return 0;
+    }
+
+    const now = Date.now();
+    const horizon = REMINDER_OFFSETS_HOURS[0] * HOUR_MS;
+
+    const upcoming = await Job.find({
+        status: 'in progress',
+        startsAt: { $gt: new Date(now), $lte: new Date(now + horizon) }
+    });
+
+    let sent = 0;
+    for (const job of upcoming) {
+        // Offsets whose time has come; only the closest one is worth sending
+        const untilStart = job.startsAt.getTime() - now;
+        const due = REMINDER_OFFSETS_HOURS.filter(offset =>
+            offset * HOUR_MS >= untilStart && !(job.remindersSent || []).includes(offset));
+        if (due.length === 0) {
+            continue;
+        }
+
+        // Claim the reminders first so two runs never both send them
+        const claimed = await Job.findOneAndUpdate(
+            { _id: job._id, status: 'in progress', remindersSent: { $nin: due } },
+            { $addToSet: { remindersSent: { $each: due } } }
+        );
+        if (!claimed) {
+            continue;
+        }
+
+        const closest = due[due.length - 1];
+        // In the job's own time zone, which is where both parties will be
+        const when = formatJobTime(job.startsAt, job.timeZone);
+        await Promise.all([job.user, job.worker].map(userId => sendNotificationToUser(userId, {
+            type: 'job_update',
+            job,
+            title: 'Upcoming Job',
+            message: `Reminder: "${job.title}" starts in about ${formatOffset(closest)} (${when})`
+        })));
+        sent += 1;
+    }
+
+    return sent;
+};
+
+/**
+ * Flag in-progress jobs that have run past their end time
+ * @returns {Promise<Number>} Number of jobs flagged
+ */
+const flagOverdueJobs = async () => {
+    const candidates = await Job.find({
+        status: 'in progress',
+        overdueAt: null,
+        endsAt: { $lte: new Date(Date.now() - OVERDUE_GRACE_MINUTES * 60 * 1000) }
+    });
+
+    let flagged = 0;
+    for (const job of candidates) {
+        const updated = await Job.findOneAndUpdate(
+            { _id: job._id, status: 'in progress', overdueAt: null },
+            { $set: { overdueAt: new Date() } },
+            { new: true }
+        );
+        if (!updated) {
+            continue;
+        }
+        flagged += 1;
+
+        await sendNotificationToUser(updated.worker, {
+            type: 'job_update',
+            job: updated,
+            title: 'Job Overdue',
+            message: `"${updated.title}" was due to finish by ${updated.timeEnd}. Mark it complete, or agree a new time with the client.`
+        });
+        await sendNotificationToUser(updated.user, {
+            type: 'job_update',
+            job: updated,
+            title: 'Job Overdue',
+            message: `"${updated.title}" has not been marked complete yet. You can message the worker or propose a new time.`
+        });
+    }
+
+    return flagged;
+};
+
+module.exports = {
+    REMINDER_OFFSETS_HOURS,
+    expireStaleJobs,
+    sendJobReminders,
+    flagOverdueJobs
+};
@@ -0,0 +1,408 @@
+/**
+ * Recurring job series
+ *
+ * A series is turned into concrete jobs (occurrences) by the jobs.generateSeries
+ * task, JOB_SERIES_GENERATE_AHEAD_DAYS ahead and always at least one period
+ * ahead. When the client asks for it, each new occurrence is first held for
+ * the worker who did the previous one for JOB_SERIES_OFFER_HOURS; after that,
+ * or once they decline, it goes out to workers like any other new job.
+ */
+const Job = require('../models/Job');
+const JobSeries = require('../models/JobSeries');
+const User = require('../models/User');
+const Quote = require('../models/Quote');
+const ErrorResponse = require('./errorResponse');
+const { enqueue } = require('./queue');
+const { buildJobSchedule, formatJobTime } = require('./jobSchedule');
+const { assertWorkerAvailable } = require('./availability');
+const { sendNotificationToUser, notifyWorkersAboutJob } = require('./notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const GENERATE_AHEAD_DAYS = parseFloat(process.env.JOB_SERIES_GENERATE_AHEAD_DAYS) || 14;
+const OFFER_HOURS = parseFloat(process.env.JOB_SERIES_OFFER_HOURS) || 24;
+
+const PERIOD_DAYS = { weekly: 7, biweekly: 14, monthly: 31 };
+
+// Template fields copied onto each occurrence
+const TEMPLATE_FIELDS = ['title', 'description', 'category', 'location', 'address', 'budget', 'timeStart', 'timeEnd', 'timeZone', 'radius', 'images'];
+
+// Occurrence statuses the client can still call off
+const CANCELLABLE_STATUSES = ['pending', 'in progress'];
+
+/**
+ * Calendar date of an occurrence. Monthly series keep the day of the month,
+ * falling back to the last day in shorter months.
+ * @param {Object} recurrence - Series recurrence
+ * @param {Number} index - Occurrence index, 0 for the first
+ * @returns {Date} UTC midnight of the date
+ */
+const occurrenceDate = (recurrence, index) => {
+    const start = new Date(recurrence.startDate);
+
+    if (recurrence.frequency === 'monthly') {
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth() + index;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+    }
+
+    return new Date(start.getTime() + index * PERIOD_DAYS[recurrence.frequency] * DAY_MS);
+};
+
+// Whether an occurrence index lies beyond the series' count or end date
+const isPastEnd = (recurrence, index) => Boolean(
+    (recurrence.count && index >= recurrence.count) ||
+    (recurrence.until && occurrenceDate(recurrence, index) > recurrence.until)
+);
+
+/**
+ * Upcoming occurrences worked out from the rule, whether generated yet or not
+ * @param {Object} series - JobSeries document
+ * @param {Object} [options] - { from (Date), limit }
+ * @returns {Array} [{ index, date, skipped }]
+ */
+const listOccurrences = (series, { from = new Date(), limit = 10 } = {}) => {
+    const occurrences = [];
+    // Dates are UTC midnights, so start comparing from the day before
+    const earliest = new Date(from.getTime() - DAY_MS);
+
+    for (let index = 0; occurrences.length < limit && !isPastEnd(series.recurrence, index); index += 1) {
+        const date = occurrenceDate(series.recurrence, index);
+        if (date >= earliest) {
+            occurrences.push({ index, date, skipped: series.skippedOccurrences.includes(index) });
+        }
+    }
+
+    return occurrences;
+};
+
+// Worker on the series' most recent assigned occurrence
+const findPreviousWorker = async (series) => {
+    const last = await Job.findOne({
+        series: series._id,
+        worker: { $ne: null },
+        status: { $in: ['in progress', 'awaiting confirmation', 'completed'] }
+    })
+        .sort({ startsAt: -1 })
+        .select('worker');
+
+    return last ? last.worker : null;
+};
+
+// Hold a new occurrence for a worker, if they are active and free at that time
+const buildOffer = async (workerId, job) => {
+    const worker = await User.findById(workerId).select('status');
+    if (!worker || worker.status === 'suspended') {
+        return null;
+    }
+
+    try {
+        await assertWorkerAvailable(workerId, job);
+    } catch (error) {
+        if (error.statusCode === 409) return null;
+        throw error;
+    }
+
+    return {
+        worker: workerId,
+        expiresAt: new Date(Math.min(Date.now() + OFFER_HOURS * HOUR_MS, job.startsAt.getTime()))
+    };
+};
+
+/**
+ * Create the job for one occurrence
+ * @param {Object} series - JobSeries document
+ * @param {Number} index - Occurrence index
+ * @param {ObjectId} [previousWorker] - Worker to offer it to first
+ * @returns {Promise<Object|null>} The job, or null if the occurrence has already started
+ */
+const createOccurrence = async (series, index, previousWorker) => {
+    // An earlier attempt may have saved the job and failed afterwards
+    const existing = await Job.findOne({ series: series._id, occurrence: index });
+    if (existing) {
+        await enqueue('notifications.newJob', { jobId: existing._id.toString() }, {
+            runAt: existing.offer && existing.offer.expiresAt,
+            uniqueKey: `notifications.newJob:${existing._id}`
+        });
+        return existing;
+    }
+
+    const { template } = series;
+    const schedule = buildJobSchedule({
+        deadline: occurrenceDate(series.recurrence, index),
+        timeStart: template.timeStart,
+        timeEnd: template.timeEnd,
+        timeZone: template.timeZone
+    });
+    if (schedule.error || schedule.startsAt <= new Date()) {
+        return null;
+    }
+
+    const job = new Job({
+        ...TEMPLATE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: template[field] }), {}),
+        ...schedule,
+        user: series.user,
+        series: series._id,
+        occurrence: index
+    });
+
+    const offer = previousWorker ? await buildOffer(previousWorker, job) : null;
+    if (offer) {
+        job.offer = offer;
+    }
+    await job.save();
+
+    if (offer) {
+        await sendNotificationToUser(offer.worker, {
+            type: 'new_job',
+            job,
+            title: 'Job Offer',
+            message: `Your regular client would like you again for "${job.title}" on ${formatJobTime(job.startsAt, job.timeZone)}. ` +
+                `It goes to other workers at ${formatJobTime(offer.expiresAt, job.timeZone)} unless you accept.`
+        });
+    }
+
+    // Everyone else hears about it once any hold is over
+    await enqueue('notifications.newJob', { jobId: job._id.toString() }, {
+        runAt: offer ? offer.expiresAt : undefined,
+        uniqueKey: `notifications.newJob:${job._id}`
+    });
+
+    return job;
+};
+
+/**
+ * Generate the occurrences of a series that are now within reach
+ * @param {Object} series - JobSeries document
+ * @returns {Promise<Array>} Jobs created
+ * @throws {Error} If an occurrence could not be created; `error.createdJobs`
+ *   holds the ones created before it, and the scheduler retries the rest
+ */
+const generateOccurrences = async (series) => {
+    const now = new Date();
+    const aheadDays = Math.max(GENERATE_AHEAD_DAYS, PERIOD_DAYS[series.recurrence.frequency]);
+    const horizon = new Date(now.getTime() + aheadDays * DAY_MS);
+
+    const created = [];
+    let previousWorker;
+    let index = series.generatedThrough + 1;
+
+    while (series.status === 'active') {
+        if (isPastEnd(series.recurrence, index)) {
+            await JobSeries.updateOne(
+                { _id: series._id, status: 'active' },
+                { $set: { status: 'ended', endedAt: now } }
+            );
+            break;
+        }
+        if (occurrenceDate(series.recurrence, index) > horizon) {
+            break;
+        }
+
+        // Claim the index first so two runs never generate the same occurrence
+        const claimed = await JobSeries.findOneAndUpdate(
+            { _id: series._id, status: 'active', generatedThrough: index - 1 },
+            { $set: { generatedThrough: index } },
+            { new: true }
+        );
+        if (!claimed) {
+            break;
+        }
+        series = claimed;
+
+        if (!series.skippedOccurrences.includes(index)) {
+            try {
+                if (series.offerToPreviousWorker && previousWorker === undefined) {
+                    previousWorker = await findPreviousWorker(series);
+                }
+                const job = await createOccurrence(series, index, series.offerToPreviousWorker ? previousWorker : null);
+                if (job) created.push(job);
+            } catch (error) {
+                // Hand the index back so the next run tries this occurrence again
+                await JobSeries.updateOne(
+                    { _id: series._id, generatedThrough: index },
+                    { $set: { generatedThrough: index - 1 } }
+                );
+                error.createdJobs = created;
+                throw error;
+            }
+        }
+        index += 1;
+    }
+
+    return created;
+};
+
+/**
+ * Generate due occurrences for every active series (run by the scheduler)
+ * @returns {Promise<Number>} Number of jobs created
+ */
+const generateDueSeries = async () => {
+    let created = 0;
+
+    for await (const series of JobSeries.find({ status: 'active' })) {
+        try {
+            created += (await generateOccurrences(series)).length;
+        } catch (error) {
+            console.error(`Error generating occurrences for series ${series._id}:`, error);
+        }
+    }
+
+    return created;
+};
+
+/**
+ * Call off one occurrence on the client's behalf
+ * @param {Object} job - Occurrence job
+ * @param {Object} actor - Client user document
+ * @param {String} reason - Shown to the worker
+ * @returns {Promise<Object>} The cancelled job
+ */
+const cancelOccurrence = async (job, actor, reason) => {
+    const cancelled = await Job.transition(job, 'cancelled', { actor, reason });
+
+    await Quote.updateMany(
+        { job: job._id, status: { $in: Quote.OPEN_STATUSES } },
+        { $set: { status: 'declined', decidedAt: new Date() } }
+    );
+
+    await notifyWorkersAboutJob(cancelled, {
+        title: 'Job Cancelled',
+        message: `"${cancelled.title}" on ${formatJobTime(cancelled.startsAt, cancelled.timeZone)} was cancelled by the client: ${reason}`
+    });
+
+    return cancelled;
+};
+
+// Cancel the series' future occurrences that match a filter
+const cancelFutureOccurrences = async (series, actor, reason, filter = {}) => {
+    const jobs = await Job.find({
+        series: series._id,
+        status: { $in: CANCELLABLE_STATUSES },
+        startsAt: { $gt: new Date() },
+        ...filter
+    });
+
+    let cancelled = 0;
+    for (const job of jobs) {
+        try {
+            await cancelOccurrence(job, actor, reason);
+            cancelled += 1;
+        } catch (error) {
+            // 409: the job changed under us (e.g. disputed); leave it to the client
+            if (error.statusCode !== 409) throw error;
+        }
+    }
+    return cancelled;
+};
+
+/**
+ * Skip one occurrence, cancelling its job if it was already generated
+ * @param {Object} series - JobSeries document
+ * @param {Number} index - Occurrence index
+ * @param {Object} actor - Client user document
+ * @returns {Promise<Object>} { series, cancelledJob }
+ * @throws {ErrorResponse} 400 if the occurrence is outside the series or has already happened
+ */
+const skipOccurrence = async (series, index, actor) => {
+    if (!Number.isInteger(index) || index < 0 || isPastEnd(series.recurrence, index)) {
+        throw new ErrorResponse('No such occurrence in this series', 400);
+    }
+
+    const job = await Job.findOne({ series: series._id, occurrence: index });
+    if (job && (!CANCELLABLE_STATUSES.includes(job.status) || job.startsAt <= new Date())) {
+        throw new ErrorResponse(`This occurrence is ${job.status} and can no longer be skipped`, 400);
+    }
+
+    const updated = await JobSeries.findByIdAndUpdate(
+        series._id,
+        { $addToSet: { skippedOccurrences: index }, $set: { updatedAt: new Date() } },
+        { new: true }
+    );
+
+    const cancelledJob = job ? await cancelOccurrence(job, actor, 'This occurrence was skipped') : null;
+
+    return { series: updated, cancelledJob };
+};
+
+/**
+ * Apply a series edit to the occurrences not yet taken by a worker, except
+ * those the client edited on their own
+ * @param {Object} series - Updated JobSeries document
+ * @returns {Promise<Number>} Number of occurrences updated
+ */
+const applyTemplateToFutureOccurrences = async (series) => {
+    const jobs = await Job.find({
+        series: series._id,
+        status: 'pending',
+        worker: null,
+        seriesException: { $ne: true },
+        startsAt: { $gt: new Date() }
+    });
+
+    let updated = 0;
+    for (const job of jobs) {
+        const schedule = buildJobSchedule({
+            deadline: occurrenceDate(series.recurrence, job.occurrence),
+            timeStart: series.template.timeStart,
+            timeEnd: series.template.timeEnd,
+            timeZone: series.template.timeZone
+        });
+        if (schedule.error) {
+            continue;
+        }
+
+        // Conditional, like a client edit: a job accepted meanwhile is left alone
+        const result = await Job.updateOne(
+            { _id: job._id, status: 'pending', worker: null },
+            {
+                $set: {
+                    ...TEMPLATE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: series.template[field] }), {}),
+                    ...schedule,
+                    updatedAt: new Date()
+                },
+                $inc: { calendarSequence: 1 }
+            },
+            { runValidators: true }
+        );
+        updated += result.modifiedCount;
+    }
+
+    return updated;
+};
+
+/**
+ * End the series early (or for good) and cancel its upcoming occurrences
+ * @param {Object} series - JobSeries document
+ * @param {Object} actor - Client user document
+ * @param {String} reason - Shown to assigned workers
+ * @returns {Promise<Object>} { series, cancelledCount }
+ */
+const cancelSeries = async (series, actor, reason) => {
+    const updated = await JobSeries.findOneAndUpdate(
+        { _id: series._id, status: { $ne: 'cancelled' } },
+        { $set: { status: 'cancelled', endedAt: new Date(), updatedAt: new Date() } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ErrorResponse('This series has already been cancelled', 400);
+    }
+
+    const cancelledCount = await cancelFutureOccurrences(updated, actor, reason);
+    return { series: updated, cancelledCount };
+};
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    occurrenceDate,
+    isPastEnd,
+    listOccurrences,
+    generateOccurrences,
+    generateDueSeries,
+    skipOccurrence,
+    applyTemplateToFutureOccurrences,
+    cancelFutureOccurrences,
+    cancelSeries
+};
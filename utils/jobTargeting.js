@@ -0,0 +1,135 @@
+/**
+ * Picks which workers hear about a new job
+ *
+ * A worker is a candidate when their category or one of their skills
+ * (compared case-insensitively) matches the job's, the job lies within their service radius and within the current
+ * search radius, and they can make its time slot (see ./availability).
+ * Candidates are ranked by distance and rating and the list is capped.
+ */
+const Worker = require('../models/Worker');
+const User = require('../models/User');
+const { resolveDelivery } = require('./notificationPreferences');
+const { getJobWindow, findBookedJobs, getConflicts } = require('./availability');
+
+// Search radii (km) tried in turn when nobody responds; the job's own radius comes first
+const RADIUS_STEPS_KM = (process.env.JOB_NOTIFY_RADIUS_STEPS_KM || '10,25,50')
+    .split(',')
+    .map(step => parseFloat(step))
+    .filter(step => step > 0)
+    .sort((a, b) => a - b);
+const WIDEN_AFTER_MINUTES = parseFloat(process.env.JOB_NOTIFY_WIDEN_AFTER_MINUTES) || 30;
+const MAX_WORKERS_PER_STAGE = parseInt(process.env.JOB_NOTIFY_MAX_WORKERS, 10) || 25;
+const DEFAULT_SERVICE_RADIUS_KM = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rating used for workers nobody has reviewed yet, so new workers are not always last
+const UNRATED_RATING = 3;
+
+/**
+ * Radii to search for a job, smallest first
+ * @param {Object} job - Job document
+ * @returns {Array<Number>} Radii in kilometers
+ */
+const getRadiusStages = (job) => {
+    const first = job.radius || RADIUS_STEPS_KM[0] || 10;
+    return [first, ...RADIUS_STEPS_KM.filter(step => step > first)];
+};
+
+/**
+ * Find and rank the workers to notify about a job
+ * @param {Object} job - Job document
+ * @param {Object} options - { radiusKm, exclude (user ids already notified), limit }
+ * @returns {Promise<Array>} [{ user, recipient (User), distance (km), rating, score }] best first
+ */
+const findTargetWorkers = async (job, { radiusKm, exclude = [], limit = MAX_WORKERS_PER_STAGE }) => {
+    if (!job.location || !job.location.coordinates || !job.category) {
+        return [];
+    }
+
+    const candidates = await Worker.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: job.location.coordinates },
+                distanceField: 'distance',
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query: {
+                    user: { $nin: exclude },
+                    $or: [
+                        { categories: job.category },
+                        // Older profiles may hold skills as e.g. "Plumbing"
+                        { skills: new RegExp(`^${escapeRegex(job.category)}$`, 'i') }
+                    ]
+                }
+            }
+        },
+        // The job must also be inside the worker's own service radius
+        {
+            $match: {
+                $expr: {
+                    $lte: ['$distance', { $multiply: [{ $ifNull: ['$serviceRadius', DEFAULT_SERVICE_RADIUS_KM] }, 1000] }]
+                }
+            }
+        },
+        { $project: { user: 1, rating: 1, distance: 1, 'reviewStats.count': 1, weeklyAvailability: 1, timeOff: 1 } }
+    ]);
+
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    const userIds = candidates.map(candidate => candidate.user);
+    const window = getJobWindow(job);
+    const [users, booked] = await Promise.all([
+        User.find({ _id: { $in: userIds }, status: { $ne: 'suspended' } })
+            .select('name email phone timeZone notificationPreferences'),
+        window ? findBookedJobs(userIds, window) : []
+    ]);
+
+    // Drop workers whose preferences filter this job out
+    const recipients = new Map(users
+        .filter(user => resolveDelivery(user, { type: 'new_job', job }))
+        .map(user => [user._id.toString(), user]));
+
+    // ...and those who can't make the time slot: booked, off, or outside their hours
+    const available = new Set();
+    await Promise.all(candidates.map(async candidate => {
+        const userId = candidate.user.toString();
+        const recipient = recipients.get(userId);
+        if (!recipient) return;
+        if (window) {
+            const conflicts = await getConflicts(candidate, window, {
+                timeZone: recipient.timeZone,
+                booked: booked.filter(({ job: other }) => other.worker.toString() === userId)
+            });
+            if (conflicts.length > 0) return;
+        }
+        available.add(userId);
+    }));
+
+    return candidates
+        .filter(candidate => available.has(candidate.user.toString()))
+        .map(candidate => {
+            const rated = candidate.reviewStats && candidate.reviewStats.count > 0;
+            const rating = rated ? candidate.rating : UNRATED_RATING;
+            // Equal weight to closeness (within this search radius) and rating
+            const closeness = 1 - candidate.distance / (radiusKm * 1000);
+            return {
+                user: candidate.user,
+                recipient: recipients.get(candidate.user.toString()),
+                distance: Math.round(candidate.distance / 100) / 10,
+                rating: candidate.rating,
+                score: closeness * 0.5 + (rating / 5) * 0.5
+            };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+module.exports = {
+    WIDEN_AFTER_MINUTES,
+    MAX_WORKERS_PER_STAGE,
+    getRadiusStages,
+    findTargetWorkers
+};
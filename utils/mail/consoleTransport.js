@@ -0,0 +1,14 @@
+// utils/mail/consoleTransport.js
+const crypto = require('crypto');
+
+// Prints each message to the console instead of sending it
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        const messageId = crypto.randomBytes(8).toString('hex');
+        console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text || ''}`);
+        return { messageId };
+    }
+});
+
+module.exports = createConsoleTransport;
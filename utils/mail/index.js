@@ -0,0 +1,105 @@
+/**
+ * Outbound mail
+ *
+ * Every transport implements the same interface:
+ *   send({ to, subject, text, html }) -> Promise<{ messageId }>
+ *
+ * The transport is chosen with MAIL_TRANSPORT (smtp | file | console | memory). When it
+ * is not set, SMTP is used if SMTP_HOST is configured, otherwise mail is
+ * written to disk so local development works without a mail server. In
+ * production that fallback is refused: it would leave reset and verification
+ * links on disk instead of delivering them.
+ */
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+let transport = null;
+
+const createTransport = (name) => {
+    switch (name) {
+        case 'smtp':
+            return createSmtpTransport();
+        case 'memory':
+            return createMemoryTransport();
+        case 'console':
+            return createConsoleTransport();
+        case 'file':
+            return createFileTransport();
+        default:
+            throw new Error(`Unknown mail transport: ${name}`);
+    }
+};
+
+/**
+ * Name of the transport to use
+ * @returns {String}
+ * @throws {Error} In production when no transport is configured
+ */
+const resolveTransportName = () => {
+    if (process.env.MAIL_TRANSPORT) {
+        return process.env.MAIL_TRANSPORT;
+    }
+    if (process.env.SMTP_HOST) {
+        return 'smtp';
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('No mail transport configured: set SMTP_HOST (or MAIL_TRANSPORT) in production');
+    }
+    return 'file';
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} Mail transport
+ */
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport(resolveTransportName());
+    }
+    return transport;
+};
+
+/**
+ * Check the mail configuration at startup so a bad deploy fails loudly
+ * @throws {Error} If no usable transport is configured
+ */
+const verifyMailConfig = () => {
+    const { name } = getTransport();
+    if (process.env.NODE_ENV === 'production' && name !== 'smtp') {
+        console.error(`Mail transport "${name}" does not deliver mail; use smtp in production`);
+    }
+};
+
+/**
+ * Replace the active transport (e.g. with a memory transport in tests)
+ * @param {Object} nextTransport - Object implementing send()
+ */
+const setTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} { messageId }
+ */
+const sendMail = async (message) => {
+    if (!message.to || !message.subject) {
+        throw new Error('Email requires a recipient and a subject');
+    }
+
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'Finder <no-reply@finder.local>',
+        ...message
+    });
+};
+
+module.exports = {
+    sendMail,
+    getTransport,
+    setTransport,
+    verifyMailConfig,
+    createTransport
+};
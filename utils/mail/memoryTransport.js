@@ -0,0 +1,22 @@
+// utils/mail/memoryTransport.js
+const crypto = require('crypto');
+
+// Keeps sent messages in an array; intended for tests
+const createMemoryTransport = () => {
+    const outbox = [];
+
+    return {
+        name: 'memory',
+        outbox,
+        send: async (message) => {
+            const messageId = crypto.randomBytes(8).toString('hex');
+            outbox.push({ messageId, sentAt: new Date(), ...message });
+            return { messageId };
+        },
+        clear: () => {
+            outbox.length = 0;
+        }
+    };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,27 @@
+// utils/mail/templates.js
+const { escapeHtml } = require('../notificationTemplates');
+
+const appUrl = (pathname, token) => {
+    const base = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+exports.verifyEmail = (user, token) => {
+    const link = appUrl('/verify-email', token);
+    return {
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+    };
+};
+
+exports.resetPassword = (user, token) => {
+    const link = appUrl('/reset-password', token);
+    return {
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. Open this link to choose a new one:\n${link}\n\nThe link expires soon and can only be used once. If this wasn't you, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password for your account.</p><p><a href="${escapeHtml(link)}">Choose a new password</a></p><p>The link expires soon and can only be used once. If this wasn't you, you can ignore this email.</p>`
+    };
+};
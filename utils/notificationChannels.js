@@ -0,0 +1,154 @@
+/**
+ * Delivery of notifications over outside channels (web push, email, SMS)
+ *
+ * Every message sent is recorded as a NotificationDelivery with its rendered
+ * content and status. Failed sends are retried with exponential backoff
+ * until NOTIFICATION_MAX_ATTEMPTS is reached; errors the provider reports as
+ * permanent (4xx other than 408/429) fail straight away.
+ */
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { render } = require('./notificationTemplates');
+const { sendPushToUser } = require('./push');
+const { sendMail, getTransport } = require('./mail');
+const { sendSms, getProvider } = require('./sms');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 60;
+const RETRY_BATCH_SIZE = 100;
+
+// Each sender resolves to { provider, messageId } or { skipped: reason }
+const CHANNEL_SENDERS = {
+    push: async (user, content) => {
+        const result = await sendPushToUser(user._id, content);
+        if (result.sent === 0 && result.failed === 0) {
+            return { skipped: 'No push subscriptions' };
+        }
+        if (result.sent === 0) {
+            throw new Error(`Push failed on all ${result.failed} devices`);
+        }
+        return { provider: 'web-push' };
+    },
+    email: async (user, content) => {
+        if (!user.email) {
+            return { skipped: 'No email address' };
+        }
+        const { messageId } = await sendMail({ to: user.email, ...content });
+        return { provider: getTransport().name, messageId };
+    },
+    sms: async (user, content) => {
+        if (!user.phone) {
+            return { skipped: 'No phone number' };
+        }
+        const { messageId } = await sendSms({ to: user.phone, text: content.text });
+        return { provider: getProvider().name, messageId };
+    }
+};
+
+const isPermanentError = (error) => error.statusCode >= 400 && error.statusCode < 500 &&
+    ![408, 429].includes(error.statusCode);
+
+const nextAttemptAt = (attempts) => new Date(Date.now() + RETRY_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1));
+
+/**
+ * Make one attempt at a delivery and record the outcome
+ * @param {Object} delivery - NotificationDelivery document
+ * @param {Object} user - Recipient
+ * @returns {Promise<Object>} The saved delivery
+ */
+const attemptDelivery = async (delivery, user) => {
+    delivery.attempts += 1;
+
+    try {
+        const result = await CHANNEL_SENDERS[delivery.channel](user, delivery.content);
+
+        if (result.skipped) {
+            delivery.status = 'skipped';
+            delivery.lastError = result.skipped;
+        } else {
+            delivery.status = 'sent';
+            delivery.sentAt = new Date();
+            delivery.provider = result.provider;
+            delivery.providerMessageId = result.messageId;
+            delivery.lastError = undefined;
+        }
+        delivery.nextAttemptAt = undefined;
+    } catch (error) {
+        delivery.lastError = error.message;
+
+        if (delivery.attempts >= MAX_ATTEMPTS || isPermanentError(error)) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = undefined;
+            console.error(`Giving up on ${delivery.channel} delivery ${delivery._id}:`, error.message);
+        } else {
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = nextAttemptAt(delivery.attempts);
+        }
+    }
+
+    await delivery.save();
+    return delivery;
+};
+
+/**
+ * Send a notification to a user over the given outside channels
+ * @param {Object} user - Recipient (needs name, email, phone)
+ * @param {Object} notification - { _id, type, title, message, job }
+ * @param {Array<String>} channels - Channels to use; in-app is ignored here
+ * @returns {Promise<Array>} Delivery documents
+ */
+const deliverToChannels = async (user, notification, channels) => {
+    const external = channels.filter(channel => CHANNEL_SENDERS[channel]);
+    if (external.length === 0) {
+        return [];
+    }
+
+    const content = render(user, notification);
+
+    return Promise.all(external.map(channel => attemptDelivery(new NotificationDelivery({
+        notification: notification._id,
+        recipient: user._id,
+        channel,
+        content: content[channel]
+    }), user)));
+};
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ * @returns {Promise<Number>} Number of deliveries retried
+ */
+const retryDueDeliveries = async () => {
+    const due = await NotificationDelivery.find({
+        status: 'retrying',
+        nextAttemptAt: { $lte: new Date() }
+    }).limit(RETRY_BATCH_SIZE);
+
+    if (due.length === 0) {
+        return 0;
+    }
+
+    const users = await User.find({ _id: { $in: due.map(delivery => delivery.recipient) } })
+        .select('name email phone');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const delivery of due) {
+        const user = usersById.get(delivery.recipient.toString());
+        if (!user) {
+            delivery.status = 'failed';
+            delivery.lastError = 'Recipient no longer exists';
+            delivery.nextAttemptAt = undefined;
+            await delivery.save();
+            continue;
+        }
+        await attemptDelivery(delivery, user);
+    }
+
+    return due.length;
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    deliverToChannels,
+    attemptDelivery,
+    retryDueDeliveries
+};
@@ -0,0 +1,228 @@
+/**
+ * Notification preference helpers
+ *
+ * A user's preferences decide whether an event reaches them at all (event
+ * type, and for new jobs the category and budget filters) and over which
+ * channels. During quiet hours the interrupting channels (push, email, SMS)
+ * are held back and sent later as a digest; the in-app list is not affected.
+ */
+
+const EVENT_TYPES = ['new_job', 'job_update', 'payment', 'message'];
+const CHANNELS = ['inApp', 'push', 'email', 'sms'];
+
+// Channels used when the user has not chosen
+const DEFAULT_CHANNELS = {
+    inApp: true,
+    push: true,
+    email: false,
+    sms: false
+};
+
+// Channels that are held back during quiet hours
+const INTERRUPTING_CHANNELS = ['push', 'email', 'sms'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+/**
+ * Whether a string is an IANA time zone this runtime knows about
+ * @param {String} timeZone - e.g. 'Asia/Kolkata'
+ * @returns {Boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Minutes since local midnight for an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Number}
+ */
+const localMinutes = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return get('hour') * 60 + get('minute');
+};
+
+const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+/**
+ * Whether the user's quiet hours are in effect at a given instant
+ * @param {Object} user - User with notificationPreferences and timeZone
+ * @param {Date} [date] - Instant to check, defaults to now
+ * @returns {Boolean}
+ */
+const isInQuietHours = (user, date = new Date()) => {
+    const quietHours = user.notificationPreferences && user.notificationPreferences.quietHours;
+    if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end) {
+        return false;
+    }
+
+    const timeZone = isValidTimeZone(user.timeZone) ? user.timeZone : DEFAULT_TIME_ZONE;
+    const now = localMinutes(date, timeZone);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    if (start === end) {
+        return false;
+    }
+    // A start after the end means the quiet period runs past midnight
+    return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Whether a new-job alert passes the user's category and budget filters
+ * @param {Object} preferences - User's notificationPreferences
+ * @param {Object} job - Job document
+ * @returns {Boolean}
+ */
+const matchesJobFilters = (preferences, job) => {
+    if (!job) {
+        return true;
+    }
+    if (preferences.categories && preferences.categories.length > 0 && !preferences.categories.includes(job.category)) {
+        return false;
+    }
+    if (preferences.minBudget && job.budget < preferences.minBudget) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * The channels a user has switched on
+ * @param {Object} user - User with notificationPreferences
+ * @returns {Array<String>}
+ */
+const getEnabledChannels = (user) => {
+    const channelPrefs = (user && user.notificationPreferences && user.notificationPreferences.channels) || {};
+    return CHANNELS.filter(channel => (channelPrefs[channel] !== undefined
+        ? channelPrefs[channel]
+        : DEFAULT_CHANNELS[channel]));
+};
+
+/**
+ * Work out how an event should reach a user
+ * @param {Object} user - User with notificationPreferences and timeZone
+ * @param {Object} event - { type, job } (job only needed for new_job filters)
+ * @param {Date} [date] - Instant the event happens, defaults to now
+ * @returns {Object|null} { channels, deferred } or null if the user opted out
+ */
+const resolveDelivery = (user, { type, job }, date = new Date()) => {
+    const preferences = (user && user.notificationPreferences) || {};
+    const types = preferences.types || {};
+
+    if (types[type] === false) {
+        return null;
+    }
+    if (type === 'new_job' && !matchesJobFilters(preferences, job)) {
+        return null;
+    }
+
+    const enabled = getEnabledChannels(user);
+
+    if (user && isInQuietHours(user, date)) {
+        return {
+            channels: enabled.filter(channel => !INTERRUPTING_CHANNELS.includes(channel)),
+            deferred: enabled.filter(channel => INTERRUPTING_CHANNELS.includes(channel))
+        };
+    }
+
+    return { channels: enabled, deferred: [] };
+};
+
+/**
+ * Validate a (partial) preferences update and flatten it into $set paths
+ * @param {Object} body - { types, channels, categories, minBudget, quietHours, timeZone }
+ * @returns {Object} { set } or { error }
+ */
+const buildPreferencesUpdate = (body) => {
+    const set = {};
+
+    if (body.types !== undefined) {
+        for (const [type, enabled] of Object.entries(body.types || {})) {
+            if (!EVENT_TYPES.includes(type) || typeof enabled !== 'boolean') {
+                return { error: `Invalid event type setting: ${type}` };
+            }
+            set[`notificationPreferences.types.${type}`] = enabled;
+        }
+    }
+
+    if (body.channels !== undefined) {
+        for (const [channel, enabled] of Object.entries(body.channels || {})) {
+            if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+                return { error: `Invalid channel setting: ${channel}` };
+            }
+            set[`notificationPreferences.channels.${channel}`] = enabled;
+        }
+    }
+
+    if (body.categories !== undefined) {
+        if (!Array.isArray(body.categories)) {
+            return { error: 'Categories must be a list' };
+        }
+        set['notificationPreferences.categories'] = body.categories.map(category => String(category).toLowerCase().trim());
+    }
+
+    if (body.minBudget !== undefined) {
+        const minBudget = body.minBudget === null ? 0 : parseFloat(body.minBudget);
+        if (isNaN(minBudget) || minBudget < 0) {
+            return { error: 'Minimum budget must be a positive number' };
+        }
+        set['notificationPreferences.minBudget'] = minBudget;
+    }
+
+    if (body.quietHours !== undefined) {
+        const { enabled, start, end } = body.quietHours || {};
+        if (enabled !== undefined) {
+            set['notificationPreferences.quietHours.enabled'] = Boolean(enabled);
+        }
+        for (const [key, value] of Object.entries({ start, end })) {
+            if (value === undefined) continue;
+            if (!TIME_PATTERN.test(value)) {
+                return { error: `Quiet hours ${key} must be in HH:MM format` };
+            }
+            set[`notificationPreferences.quietHours.${key}`] = value;
+        }
+    }
+
+    if (body.timeZone !== undefined) {
+        if (!isValidTimeZone(body.timeZone)) {
+            return { error: 'Unknown time zone' };
+        }
+        set.timeZone = body.timeZone;
+    }
+
+    return { set };
+};
+
+module.exports = {
+    EVENT_TYPES,
+    CHANNELS,
+    DEFAULT_CHANNELS,
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    isInQuietHours,
+    getEnabledChannels,
+    matchesJobFilters,
+    resolveDelivery,
+    buildPreferencesUpdate
+};
@@ -0,0 +1,97 @@
+/**
+ * Message templates for notifications sent outside the app
+ *
+ * Each event type has a default title, a short intro for email and where
+ * the message links to. render() turns a notification into the content for
+ * every channel: { push: { title, body }, email: { subject, text, html }, sms: { text } }.
+ */
+
+const SMS_MAX_LENGTH = 320;
+
+const appUrl = (pathname) => {
+    const base = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}${pathname}`;
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const jobPath = (jobId) => (jobId ? `/jobs/${jobId}` : '/notifications');
+
+const TEMPLATES = {
+    new_job: {
+        title: 'New Job Available!',
+        intro: 'A new job matching your skills was posted near you.',
+        action: 'View job',
+        path: jobPath
+    },
+    job_update: {
+        title: 'Job Update',
+        intro: 'There is an update on one of your jobs.',
+        action: 'Open job',
+        path: jobPath
+    },
+    payment: {
+        title: 'Payment Update',
+        intro: 'There is an update about a payment.',
+        action: 'View details',
+        path: jobPath
+    },
+    message: {
+        title: 'New Message',
+        intro: 'You have a new message.',
+        action: 'Read message',
+        path: () => '/messages'
+    },
+    digest: {
+        title: 'Your notifications',
+        intro: 'Here is what happened during your quiet hours.',
+        action: 'Open notifications',
+        path: () => '/notifications'
+    }
+};
+
+/**
+ * Render a notification for every outside channel
+ * @param {Object} user - Recipient (name is used in greetings)
+ * @param {Object} notification - { type, title, message, job }
+ * @returns {Object} { push, email, sms }
+ */
+const render = (user, { type, title, message, job }) => {
+    const template = TEMPLATES[type] || TEMPLATES.job_update;
+    const jobId = job ? (job._id || job).toString() : undefined;
+    const heading = title || template.title;
+    const link = appUrl(template.path(jobId));
+
+    // Shorten the message rather than the link
+    const room = SMS_MAX_LENGTH - link.length - 'Finder:  '.length;
+    const smsMessage = message.length > room ? `${message.slice(0, room - 1)}…` : message;
+
+    return {
+        push: {
+            title: heading,
+            body: message,
+            icon: '/logo.png',
+            data: { jobId, type, url: link }
+        },
+        email: {
+            subject: heading,
+            text: `Hi ${user.name},\n\n${template.intro}\n\n${message}\n\n${template.action}: ${link}`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(template.intro)}</p>` +
+                `<p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>` +
+                `<p><a href="${escapeHtml(link)}">${escapeHtml(template.action)}</a></p>`
+        },
+        sms: {
+            text: `Finder: ${smsMessage} ${link}`
+        }
+    };
+};
+
+module.exports = {
+    TEMPLATES,
+    escapeHtml,
+    render
+};
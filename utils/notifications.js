@@ -1,91 +1,279 @@
-const Worker = require('../models/Worker');
-const webpush = require('web-push');
-
-// Configure web-push with your VAPID keys
-if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
-    webpush.setVapidDetails(
-        'mailto:example@yourdomain.com',
-        process.env.VAPID_PUBLIC_KEY,
-        process.env.VAPID_PRIVATE_KEY
-    );
-}
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Quote = require('../models/Quote');
+const Notification = require('../models/Notification');
+const realtime = require('./realtime');
+const { enqueue } = require('./queue');
+const { deliverToChannels } = require('./notificationChannels');
+const { resolveDelivery, isInQuietHours, getEnabledChannels } = require('./notificationPreferences');
+const { WIDEN_AFTER_MINUTES, getRadiusStages, findTargetWorkers } = require('./jobTargeting');
 
-const sendNotificationsToMatchingWorkers = async (job) => {
+// Push the user's current unread notification count to their open clients
+const publishUnreadCount = async (userId) => {
+    const unreadCount = await Notification.unreadCountFor(userId);
+    await realtime.publish(userId, 'notification.count', { unreadCount });
+};
+
+const loadRecipients = (userIds) => User.find({ _id: { $in: userIds } })
+    .select('name email phone timeZone notificationPreferences');
+
+// Send a single notification to a user (client or worker), honoring their preferences
+const sendNotificationToUser = async (userId, { type = 'job_update', message, job, title }) => {
     try {
-        console.log(`Finding workers for new job: ${job.title} (${job._id})`);
-        
-        // Ensure job has category
-        if (!job.category) {
-            console.error('Job is missing category, cannot send notifications');
+        const [user] = await loadRecipients([userId]);
+        if (!user) {
+            return;
+        }
+
+        const delivery = resolveDelivery(user, { type, job });
+        if (!delivery) {
             return;
         }
 
-        console.log(`Looking for workers with skills matching: ${job.category}`);
-        
-        // Find all workers who have the required category/skill, regardless of location
-        const matchingWorkers = await Worker.find({
-            $or: [
-                { skills: { $in: [new RegExp(job.category, 'i')] } },
-                { categories: { $in: [new RegExp(job.category, 'i')] } }
-            ]
+        const notification = await Notification.create({
+            recipient: userId,
+            type,
+            title,
+            message,
+            job: job ? job._id || job : undefined,
+            inApp: delivery.channels.includes('inApp'),
+            deferredChannels: delivery.deferred,
+            digestPending: delivery.deferred.length > 0
         });
-        
-        console.log(`Found ${matchingWorkers.length} workers with matching skills for job ${job._id}`);
 
-        if (matchingWorkers.length === 0) {
-            return;
+        if (delivery.channels.includes('inApp')) {
+            await realtime.publish(notification.recipient, 'notification.new', {
+                _id: notification._id.toString(),
+                type: notification.type,
+                title: notification.title,
+                message: notification.message,
+                jobId: notification.job ? notification.job.toString() : undefined
+            });
+            await publishUnreadCount(notification.recipient);
         }
-        
-        // Create a notification for each worker
-        const notifications = matchingWorkers.map(async (worker) => {
-            try {
-                // Create notification object with timestamp
-                const notification = {
-                    type: 'new_job',
-                    job: job._id,
-                    message: `New job available: ${job.title}`,
-                    isRead: false,
-                    createdAt: new Date()
-                };
-                
-                // Add notification to worker's notifications array
-                worker.notifications = worker.notifications || [];
-                worker.notifications.push(notification);
-                
-                // Save the updated worker document
-                await worker.save();
-                console.log(`Notification sent to worker ${worker._id} for job ${job._id}`);
-                
-                // Send push notification if subscription exists
-                if (worker.pushSubscription && process.env.VAPID_PUBLIC_KEY) {
-                    try {
-                        const payload = JSON.stringify({
-                            title: 'New Job Available!',
-                            body: `${job.title} in ${job.address}`,
-                            icon: '/logo.png',
-                            data: { jobId: job._id.toString() }
-                        });
-                        
-                        await webpush.sendNotification(worker.pushSubscription, payload);
-                        console.log(`Push notification sent to worker ${worker._id}`);
-                    } catch (err) {
-                        console.error('Push notification error:', err);
-                    }
-                }
-            } catch (err) {
-                console.error(`Error notifying worker ${worker._id}:`, err);
+
+        await deliverToChannels(user, notification, delivery.channels);
+        return notification;
+    } catch (error) {
+        console.error(`Error notifying user ${userId}:`, error);
+    }
+};
+
+// Notify the next batch of workers about a pending job, searching out to the
+// radius of the given stage. Workers notified in earlier stages are skipped.
+// Notifications are written before the round is marked done, keyed on
+// (job, stage, recipient), so a retry after a crash re-inserts nothing twice
+// and loses nothing.
+const notifyJobStage = async (job, stage) => {
+    const stages = getRadiusStages(job);
+    const radiusKm = stages[stage];
+    const alreadyNotified = await Notification.distinct('recipient', {
+        job: job._id,
+        type: 'new_job',
+        stage: { $ne: stage }
+    });
+
+    const targets = await findTargetWorkers(job, { radiusKm, exclude: alreadyNotified });
+
+    console.log(`Notifying ${targets.length} workers within ${radiusKm}km about job ${job._id} (stage ${stage + 1}/${stages.length})`);
+
+    // Targets already passed their new-job filters, so only channels are left to work out
+    const deliveries = targets.map(target => resolveDelivery(target.recipient, { type: 'new_job', job }));
+    const notifications = targets.map((target, index) => new Notification({
+        recipient: target.user,
+        type: 'new_job',
+        title: 'New Job Available!',
+        job: job._id,
+        stage,
+        message: `New job available: ${job.title}`,
+        inApp: deliveries[index].channels.includes('inApp'),
+        deferredChannels: deliveries[index].deferred,
+        digestPending: deliveries[index].deferred.length > 0
+    }));
+
+    // One write for all recipients; ones stored by an earlier attempt are left alone
+    const inserted = new Set();
+    if (notifications.length > 0) {
+        const result = await Notification.bulkWrite(notifications.map(notification => ({
+            updateOne: {
+                filter: { job: job._id, stage, recipient: notification.recipient },
+                update: { $setOnInsert: notification.toObject() },
+                upsert: true
+            }
+        })), { ordered: false });
+        Object.keys(result.upsertedIds || {}).forEach(index => inserted.add(Number(index)));
+    }
+
+    const now = new Date();
+    const nextWidenAt = stage + 1 < stages.length
+        ? new Date(now.getTime() + WIDEN_AFTER_MINUTES * 60 * 1000)
+        : undefined;
+    await Job.updateOne({ _id: job._id }, {
+        $set: {
+            notificationRound: {
+                stage,
+                radiusKm,
+                notifiedCount: alreadyNotified.length + targets.length,
+                notifiedAt: now,
+                nextWidenAt
             }
+        }
+    });
+
+    if (nextWidenAt) {
+        await enqueue('notifications.widenJob', { jobId: job._id.toString(), stage: stage + 1 }, {
+            runAt: nextWidenAt,
+            uniqueKey: `notifications.widenJob:${job._id}:${stage + 1}`
         });
-        
-        await Promise.all(notifications);
-        console.log(`Successfully sent notifications to all ${matchingWorkers.length} matching workers`);
+    }
+
+    await Promise.all(notifications.map(async (notification, index) => {
+        if (!inserted.has(index)) {
+            return;
+        }
+        const { channels } = deliveries[index];
+        try {
+            if (channels.includes('inApp')) {
+                await realtime.publish(notification.recipient, 'job.new', {
+                    jobId: job._id.toString(),
+                    title: job.title,
+                    category: job.category,
+                    budget: job.budget,
+                    distance: targets[index].distance
+                });
+                await publishUnreadCount(notification.recipient);
+            }
+            await deliverToChannels(targets[index].recipient, {
+                _id: notification._id,
+                type: 'new_job',
+                title: 'New Job Available!',
+                message: `${job.title} in ${job.address}`,
+                job
+            }, channels);
+        } catch (err) {
+            console.error(`Error notifying user ${notification.recipient}:`, err);
+        }
+    }));
+
+    return inserted.size;
+};
+
+// Notify the closest, best-rated available workers about a new job
+const sendNotificationsToMatchingWorkers = async (job) => {
+    try {
+        if (!job.category) {
+            console.error('Job is missing category, cannot send notifications');
+            return;
+        }
+
+        await notifyJobStage(job, 0);
     } catch (error) {
         console.error('Error sending notifications:', error);
     }
 };
 
+/**
+ * Widen the search for a pending job nobody has responded to in time.
+ * Runs as a delayed task queued by notifyJobStage.
+ * @param {String} jobId - Job to widen
+ * @param {Number} stage - Stage to move to
+ * @returns {Promise<Number>} Number of workers notified
+ */
+const widenJobNotifications = async (jobId, stage) => {
+    const job = await Job.findById(jobId);
+
+    // Skip if the job was taken, or this stage was already reached
+    if (!job || job.status !== 'pending' || job.worker ||
+        !job.notificationRound || job.notificationRound.stage !== stage - 1) {
+        return 0;
+    }
+
+    // A quote counts as a response; stop widening once there is one
+    const answered = await Quote.exists({ job: job._id });
+    if (answered) {
+        await Job.updateOne({ _id: job._id }, { $unset: { 'notificationRound.nextWidenAt': 1 } });
+        return 0;
+    }
+
+    return notifyJobStage(job, stage);
+};
+
+/**
+ * Send each user whose quiet hours have ended a digest of what was held back
+ * @returns {Promise<Number>} Number of digests sent
+ */
+const sendQuietHourDigests = async () => {
+    const userIds = await Notification.distinct('recipient', { digestPending: true });
+    const users = await loadRecipients(userIds);
+
+    let sent = 0;
+    for (const user of users) {
+        if (isInQuietHours(user)) {
+            continue;
+        }
+
+        try {
+            const pending = await Notification.find({ recipient: user._id, digestPending: true })
+                .sort({ _id: 1 })
+                .select('title message deferredChannels');
+
+            // Only channels the user still has switched on
+            const enabled = getEnabledChannels(user);
+            const channels = [...new Set(pending.flatMap(notification => notification.deferredChannels))]
+                .filter(channel => enabled.includes(channel));
+
+            if (pending.length > 0 && channels.length > 0) {
+                const lines = pending.map(notification => `- ${notification.title || notification.message}`);
+                await deliverToChannels(user, {
+                    type: 'digest',
+                    title: `You have ${pending.length} new notification${pending.length === 1 ? '' : 's'}`,
+                    message: lines.join('\n')
+                }, channels);
+                sent += 1;
+            }
+
+            await Notification.updateMany(
+                { _id: { $in: pending.map(notification => notification._id) } },
+                { $set: { digestPending: false }, $unset: { deferredChannels: 1 } }
+            );
+        } catch (error) {
+            console.error(`Error sending notification digest to user ${user._id}:`, error);
+        }
+    }
+
+    return sent;
+};
+
+// Tell everyone on the worker side who knows about a job (the assigned worker
+// and workers who were notified about it) that something changed
+const notifyWorkersAboutJob = async (job, { message, title, includeAssigned = true }) => {
+    try {
+        const notifiedUsers = await Notification.distinct('recipient', { job: job._id, type: 'new_job' });
+        const userIds = new Set(notifiedUsers.map(userId => userId.toString()));
+
+        if (includeAssigned && job.worker) {
+            userIds.add(job.worker.toString());
+        }
+
+        await Promise.all([...userIds].map(userId => sendNotificationToUser(userId, {
+            type: 'job_update',
+            job,
+            title,
+            message
+        })));
+    } catch (error) {
+        console.error(`Error notifying workers about job ${job._id}:`, error);
+    }
+};
+
 module.exports = {
+    publishUnreadCount,
     sendNotificationsToMatchingWorkers,
+    sendNotificationToUser,
+    notifyWorkersAboutJob,
+    notifyJobStage,
+    widenJobNotifications,
+    sendQuietHourDigests,
     // Keep the old function name for backwards compatibility
     sendNotificationToNearbyWorkers: sendNotificationsToMatchingWorkers
-};
\ No newline at end of file
+};
@@ -0,0 +1,114 @@
+/**
+ * Web push delivery
+ *
+ * A user can have a subscription on every browser/device they use. Each
+ * push goes to all of them; subscriptions the push service reports as gone
+ * (404/410) are deleted.
+ */
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+
+// Responses meaning the subscription no longer exists
+const GONE_STATUS_CODES = [404, 410];
+
+const isConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+// Configure web-push with your VAPID keys
+if (isConfigured()) {
+    webpush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:example@yourdomain.com',
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+    );
+}
+
+/**
+ * The public key browsers need to subscribe
+ * @returns {String|null}
+ */
+const getVapidPublicKey = () => (isConfigured() ? process.env.VAPID_PUBLIC_KEY : null);
+
+/**
+ * Validate a browser PushSubscription (as JSON) and save it for a user.
+ * Re-subscribing the same endpoint updates it, and moves it to this user.
+ * @param {Object} user - User document
+ * @param {Object} subscription - { endpoint, expirationTime, keys: { p256dh, auth } }
+ * @param {Object} [meta] - { deviceLabel, userAgent }
+ * @returns {Promise<Object>} { subscription } or { error }
+ */
+const saveSubscription = async (user, subscription, { deviceLabel, userAgent } = {}) => {
+    if (!subscription || typeof subscription.endpoint !== 'string' ||
+        !subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+        return { error: 'Subscription must include an endpoint and p256dh/auth keys' };
+    }
+
+    if (!/^https:\/\//.test(subscription.endpoint)) {
+        return { error: 'Subscription endpoint must be an https URL' };
+    }
+
+    const saved = await PushSubscription.findOneAndUpdate(
+        { endpoint: subscription.endpoint },
+        {
+            $set: {
+                user: user._id,
+                keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+                expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : undefined,
+                deviceLabel,
+                userAgent,
+                failureCount: 0
+            },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { new: true, upsert: true, runValidators: true }
+    );
+
+    return { subscription: saved };
+};
+
+/**
+ * Push a payload to every device the user has subscribed
+ * @param {String|ObjectId} userId - Recipient
+ * @param {Object} payload - JSON payload for the service worker
+ * @returns {Promise<Object>} { sent, pruned, failed }
+ */
+const sendPushToUser = async (userId, payload) => {
+    const result = { sent: 0, pruned: 0, failed: 0 };
+    if (!isConfigured()) {
+        return result;
+    }
+
+    const subscriptions = await PushSubscription.find({ user: userId });
+    const body = JSON.stringify(payload);
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+        try {
+            await webpush.sendNotification(subscription.toWebPush(), body);
+            await PushSubscription.updateOne(
+                { _id: subscription._id },
+                { $set: { lastSuccessAt: new Date(), failureCount: 0 } }
+            );
+            result.sent += 1;
+        } catch (err) {
+            if (GONE_STATUS_CODES.includes(err.statusCode)) {
+                await PushSubscription.deleteOne({ _id: subscription._id });
+                result.pruned += 1;
+                return;
+            }
+
+            console.error(`Push notification error for subscription ${subscription._id}:`, err.message);
+            await PushSubscription.updateOne(
+                { _id: subscription._id },
+                { $set: { lastFailureAt: new Date() }, $inc: { failureCount: 1 } }
+            );
+            result.failed += 1;
+        }
+    }));
+
+    return result;
+};
+
+module.exports = {
+    getVapidPublicKey,
+    saveSubscription,
+    sendPushToUser
+};
@@ -0,0 +1,234 @@
+/**
+ * MongoDB-backed task queue
+ *
+ * Tasks are documents in the `tasks` collection, so they survive restarts and
+ * can be processed by any number of worker processes. A worker claims a task
+ * with a conditional update and holds a lease on it; if the worker dies the
+ * lease expires and another worker picks the task up.
+ *
+ * Failed tasks are retried with exponential backoff and end up 'dead' once
+ * they run out of attempts. Recurring tasks are requeued after every run,
+ * whether it succeeded or not.
+ *
+ * Handlers are registered by name with defineTask(); see utils/tasks.js.
+ */
+const crypto = require('crypto');
+const os = require('os');
+const Task = require('../../models/Task');
+
+const LEASE_MS = parseInt(process.env.QUEUE_LEASE_MS, 10) || 5 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 2000;
+const RETRY_BASE_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || 30 * 1000;
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a task name
+ * @param {String} name - Task name, e.g. 'notifications.newJob'
+ * @param {Function} handler - async (payload, task) => any
+ * @param {Object} [options] - { maxAttempts }
+ */
+const defineTask = (name, handler, options = {}) => {
+    handlers.set(name, { handler, maxAttempts: options.maxAttempts });
+};
+
+/**
+ * Add a task to the queue
+ * @param {String} name - Registered task name
+ * @param {Object} [payload] - Plain data passed to the handler
+ * @param {Object} [options] - { runAt, delayMs, maxAttempts, uniqueKey }
+ * @returns {Promise<Object>} The task (the existing one if uniqueKey was already queued)
+ */
+const enqueue = async (name, payload = {}, options = {}) => {
+    const definition = handlers.get(name);
+    const runAt = options.runAt || new Date(Date.now() + (options.delayMs || 0));
+    const fields = {
+        name,
+        payload,
+        runAt,
+        maxAttempts: options.maxAttempts || (definition && definition.maxAttempts) || 5
+    };
+
+    if (!options.uniqueKey) {
+        return Task.create(fields);
+    }
+
+    try {
+        return await Task.findOneAndUpdate(
+            { uniqueKey: options.uniqueKey },
+            { $setOnInsert: { ...fields, uniqueKey: options.uniqueKey, status: 'queued', createdAt: new Date() } },
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        // Two concurrent upserts of the same key: the other one won
+        if (error.code === 11000) {
+            return Task.findOne({ uniqueKey: options.uniqueKey });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Make sure a recurring task exists and runs every `everyMs`
+ * @param {String} name - Registered task name
+ * @param {Number} everyMs - Interval between runs
+ * @param {Object} [payload] - Plain data passed to the handler
+ * @returns {Promise<Object>} The task
+ */
+const scheduleRecurring = async (name, everyMs, payload = {}) => {
+    const task = await Task.findOneAndUpdate(
+        { uniqueKey: `recurring:${name}` },
+        {
+            $set: { repeatEveryMs: everyMs, payload },
+            $setOnInsert: { name, status: 'queued', runAt: new Date(), createdAt: new Date() }
+        },
+        { new: true, upsert: true }
+    );
+
+    // A recurring task must never stay finished; revive it on startup
+    if (task.status === 'dead' || task.status === 'completed') {
+        return Task.findByIdAndUpdate(
+            task._id,
+            { $set: { status: 'queued', runAt: new Date(), attempts: 0 }, $unset: { expiresAt: 1 } },
+            { new: true }
+        );
+    }
+
+    return task;
+};
+
+/**
+ * Claim the next due task (or one whose lease has expired)
+ * @param {String} workerId - Identifies the claiming worker
+ * @returns {Promise<Object|null>} The claimed task
+ */
+const claimNext = (workerId) => {
+    const now = new Date();
+    return Task.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', runAt: { $lte: now } },
+                { status: 'running', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: workerId,
+                lockedUntil: new Date(now.getTime() + LEASE_MS),
+                lastRunAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    );
+};
+
+/**
+ * Run a claimed task and record the outcome
+ * @param {Object} task - Task document claimed by this worker
+ * @returns {Promise<String>} Resulting status
+ */
+const runTask = async (task) => {
+    const definition = handlers.get(task.name);
+    const now = () => new Date();
+    let update;
+
+    try {
+        if (!definition) {
+            throw new Error(`No handler registered for task "${task.name}"`);
+        }
+
+        await definition.handler(task.payload || {}, task);
+
+        update = task.repeatEveryMs
+            ? { status: 'queued', runAt: new Date(Date.now() + task.repeatEveryMs), attempts: 0, lastError: null }
+            : { status: 'completed', completedAt: now(), expiresAt: new Date(Date.now() + COMPLETED_RETENTION_MS) };
+    } catch (error) {
+        console.error(`Task ${task.name} (${task._id}) failed on attempt ${task.attempts}:`, error.message);
+
+        if (task.repeatEveryMs) {
+            update = { status: 'queued', runAt: new Date(Date.now() + task.repeatEveryMs), attempts: 0, lastError: error.message };
+        } else if (task.attempts >= task.maxAttempts) {
+            update = { status: 'dead', lastError: error.message };
+        } else {
+            const backoff = RETRY_BASE_MS * Math.pow(2, task.attempts - 1);
+            update = { status: 'queued', runAt: new Date(Date.now() + backoff), lastError: error.message };
+        }
+    }
+
+    // Only record the outcome while this worker still holds the task
+    await Task.updateOne(
+        { _id: task._id, lockedBy: task.lockedBy },
+        { $set: update, $unset: { lockedBy: 1, lockedUntil: 1 } }
+    );
+
+    return update.status;
+};
+
+/**
+ * Start processing tasks until stopped
+ * @param {Object} [options] - { pollIntervalMs, workerId }
+ * @returns {Object} { workerId, stop() }
+ */
+const startWorker = (options = {}) => {
+    const workerId = options.workerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    const pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+    let stopped = false;
+    let timer = null;
+
+    const tick = async () => {
+        timer = null;
+        try {
+            // Drain everything that is due before going back to sleep
+            let task = await claimNext(workerId);
+            while (task && !stopped) {
+                await runTask(task);
+                task = stopped ? null : await claimNext(workerId);
+            }
+        } catch (error) {
+            console.error('Task worker error:', error);
+        }
+        if (!stopped) {
+            timer = setTimeout(tick, pollIntervalMs);
+        }
+    };
+
+    timer = setTimeout(tick, 0);
+    console.log(`Task worker ${workerId} started`);
+
+    return {
+        workerId,
+        stop: () => {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+        }
+    };
+};
+
+/**
+ * Counts of tasks per name and status
+ * @returns {Promise<Object>} { [name]: { queued, running, completed, dead } }
+ */
+const getQueueStats = async () => {
+    const rows = await Task.aggregate([
+        { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    return rows.reduce((stats, row) => {
+        stats[row._id.name] = stats[row._id.name] || {};
+        stats[row._id.name][row._id.status] = row.count;
+        return stats;
+    }, {});
+};
+
+module.exports = {
+    defineTask,
+    enqueue,
+    scheduleRecurring,
+    claimNext,
+    runTask,
+    startWorker,
+    getQueueStats
+};
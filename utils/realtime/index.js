@@ -0,0 +1,186 @@
+/**
+ * Real-time event delivery
+ *
+ * Events are addressed to users. publish() hands an envelope to the adapter,
+ * which fans it out to every server instance; each instance delivers it to
+ * its locally connected subscribers and keeps a short per-user replay buffer
+ * so reconnecting clients can resume from their Last-Event-ID.
+ *
+ * An adapter implements:
+ *   publish(envelope) -> Promise
+ *   onMessage(handler) -> unsubscribe function
+ */
+const createMemoryAdapter = require('./memoryAdapter');
+const createMongoAdapter = require('./mongoAdapter');
+
+const REPLAY_BUFFER_SIZE = parseInt(process.env.REALTIME_REPLAY_BUFFER, 10) || 100;
+const REPLAY_MAX_AGE_MS = 15 * 60 * 1000;
+const REPLAY_MAX_USERS = parseInt(process.env.REALTIME_REPLAY_MAX_USERS, 10) || 10000;
+
+const subscribers = new Map(); // userId -> Set of listeners
+const replayBuffers = new Map(); // userId -> [envelope], least recently active first
+
+let adapter = null;
+let detachAdapter = null;
+let lastIdTime = 0;
+let idSequence = 0;
+
+// Ids sort by time so replay works across instances: `<ms>-<seq>`
+const nextEventId = () => {
+    const now = Date.now();
+    idSequence = now === lastIdTime ? idSequence + 1 : 0;
+    lastIdTime = now;
+    return `${now}-${idSequence}`;
+};
+
+const compareIds = (a, b) => {
+    const [aTime, aSeq] = a.split('-').map(Number);
+    const [bTime, bSeq] = b.split('-').map(Number);
+    return aTime - bTime || aSeq - bSeq;
+};
+
+const remember = (userId, envelope) => {
+    const buffer = replayBuffers.get(userId) || [];
+    buffer.push(envelope);
+
+    const cutoff = Date.now() - REPLAY_MAX_AGE_MS;
+    while (buffer.length > REPLAY_BUFFER_SIZE || (buffer.length && buffer[0].at < cutoff)) {
+        buffer.shift();
+    }
+
+    // Re-insert so the map stays ordered by last activity
+    replayBuffers.delete(userId);
+    replayBuffers.set(userId, buffer);
+
+    // Drop users whose newest event has aged out, and the least active ones over the cap
+    for (const [key, events] of replayBuffers) {
+        const idle = events.length === 0 || events[events.length - 1].at < cutoff;
+        if (!idle && replayBuffers.size <= REPLAY_MAX_USERS) {
+            break;
+        }
+        replayBuffers.delete(key);
+    }
+};
+
+// Called for every envelope coming from the adapter
+const deliver = (envelope) => {
+    envelope.recipients.forEach(userId => {
+        remember(userId, envelope);
+        const listeners = subscribers.get(userId);
+        if (listeners) {
+            listeners.forEach(listener => {
+                try {
+                    listener(envelope);
+                } catch (error) {
+                    console.error('Realtime listener error:', error);
+                }
+            });
+        }
+    });
+};
+
+/**
+ * Replace the adapter (e.g. with a shared-broker one at startup)
+ * @param {Object} nextAdapter - Object implementing publish() and onMessage()
+ */
+const setAdapter = (nextAdapter) => {
+    if (detachAdapter) detachAdapter();
+    adapter = nextAdapter;
+    detachAdapter = adapter.onMessage(deliver);
+};
+
+/**
+ * Pick the adapter for this process once the database is connected. Events
+ * go through MongoDB unless REALTIME_ADAPTER=memory, so ones published by a
+ * standalone task worker (worker.js) or another API instance still reach the
+ * streams open here. The memory adapter only suits a single process that
+ * also runs every task (QUEUE_WORKER_IN_PROCESS not false, no worker.js).
+ * @param {Object} [options] - { standaloneWorker: true when called from worker.js }
+ * @throws {Error} If the memory adapter is chosen where it cannot work
+ */
+const configureAdapter = ({ standaloneWorker = false } = {}) => {
+    const name = process.env.REALTIME_ADAPTER || 'mongo';
+    if (name === 'memory' && (standaloneWorker || process.env.QUEUE_WORKER_IN_PROCESS === 'false')) {
+        throw new Error('REALTIME_ADAPTER=memory cannot deliver events from a separate task worker; use mongo');
+    }
+    setAdapter(name === 'memory' ? createMemoryAdapter() : createMongoAdapter());
+};
+
+const getAdapter = () => {
+    if (!adapter) {
+        setAdapter(createMemoryAdapter());
+    }
+    return adapter;
+};
+
+/**
+ * Publish an event to one or more users
+ * @param {Array|String} userIds - Recipient user id(s)
+ * @param {String} type - Event name, e.g. 'job.status'
+ * @param {Object} data - JSON-serializable payload
+ */
+const publish = async (userIds, type, data = {}) => {
+    const recipients = [...new Set([].concat(userIds).filter(Boolean).map(id => id.toString()))];
+    if (recipients.length === 0) {
+        return;
+    }
+
+    try {
+        await getAdapter().publish({
+            id: nextEventId(),
+            type,
+            data,
+            recipients,
+            at: Date.now()
+        });
+    } catch (error) {
+        // Real-time delivery is best effort; never fail the request over it
+        console.error(`Failed to publish ${type} event:`, error);
+    }
+};
+
+/**
+ * Listen for a user's events
+ * @param {String} userId - User to listen for
+ * @param {Function} listener - Called with each envelope
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (userId, listener) => {
+    getAdapter();
+    const key = userId.toString();
+    if (!subscribers.has(key)) {
+        subscribers.set(key, new Set());
+    }
+    subscribers.get(key).add(listener);
+
+    return () => {
+        const listeners = subscribers.get(key);
+        if (listeners) {
+            listeners.delete(listener);
+            if (listeners.size === 0) subscribers.delete(key);
+        }
+    };
+};
+
+/**
+ * Buffered events for a user newer than lastEventId
+ * @param {String} userId - User
+ * @param {String} lastEventId - Last id the client saw
+ * @returns {Array} Envelopes to replay, oldest first
+ */
+const getEventsSince = (userId, lastEventId) => {
+    const buffer = replayBuffers.get(userId.toString()) || [];
+    if (!lastEventId || !/^\d+-\d+$/.test(lastEventId)) {
+        return [];
+    }
+    const cutoff = Date.now() - REPLAY_MAX_AGE_MS;
+    return buffer.filter(envelope => envelope.at >= cutoff && compareIds(envelope.id, lastEventId) > 0);
+};
+
+module.exports = {
+    publish,
+    subscribe,
+    getEventsSince,
+    setAdapter,
+    configureAdapter
+};
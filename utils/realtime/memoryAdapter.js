@@ -0,0 +1,25 @@
+// utils/realtime/memoryAdapter.js
+const { EventEmitter } = require('events');
+
+// Single-process adapter, used until configureAdapter() runs and when
+// REALTIME_ADAPTER=memory. Anything with more than one process (several API
+// instances, or worker.js running tasks) needs ./mongoAdapter instead.
+const createMemoryAdapter = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    return {
+        name: 'memory',
+        // Deliver an event envelope to every instance (here: just this one)
+        publish: async (envelope) => {
+            emitter.emit('event', envelope);
+        },
+        // Register the handler that receives envelopes from all instances
+        onMessage: (handler) => {
+            emitter.on('event', handler);
+            return () => emitter.off('event', handler);
+        }
+    };
+};
+
+module.exports = createMemoryAdapter;
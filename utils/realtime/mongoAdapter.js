@@ -0,0 +1,113 @@
+// utils/realtime/mongoAdapter.js
+const mongoose = require('mongoose');
+
+const DEFAULT_COLLECTION = 'realtimeevents';
+const DEFAULT_SIZE_BYTES = 16 * 1024 * 1024;
+const RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Adapter shared by every process connected to the same database: the API
+// servers and standalone task workers (worker.js). Envelopes are appended to a
+// capped collection and each process follows it with a tailable cursor, so an
+// event published anywhere reaches streams open on any instance. Works on a
+// standalone server; no replica set needed.
+const createMongoAdapter = ({
+    connection = mongoose.connection,
+    collectionName = process.env.REALTIME_COLLECTION || DEFAULT_COLLECTION,
+    sizeBytes = parseInt(process.env.REALTIME_COLLECTION_BYTES, 10) || DEFAULT_SIZE_BYTES
+} = {}) => {
+    const handlers = new Set();
+    let collectionPromise = null;
+    let tailing = false;
+    let cursor = null;
+
+    const getCollection = () => {
+        if (!collectionPromise) {
+            collectionPromise = (async () => {
+                const { db } = connection;
+                const existing = await db.listCollections({ name: collectionName }).toArray();
+                if (existing.length === 0) {
+                    try {
+                        await db.createCollection(collectionName, { capped: true, size: sizeBytes });
+                        // A tailable cursor on an empty capped collection dies at once
+                        await db.collection(collectionName).insertOne({ marker: true, createdAt: new Date() });
+                    } catch (error) {
+                        if (error.codeName !== 'NamespaceExists') throw error;
+                    }
+                }
+                return db.collection(collectionName);
+            })().catch(error => {
+                collectionPromise = null;
+                throw error;
+            });
+        }
+        return collectionPromise;
+    };
+
+    // Follow the collection from now on. If the cursor dies (network error,
+    // failover) it is reopened after the last envelope seen; events published
+    // in the same second by another process may be missed then, which is fine
+    // for best-effort delivery.
+    const tail = async () => {
+        let lastId = new mongoose.Types.ObjectId();
+
+        while (tailing) {
+            try {
+                const collection = await getCollection();
+                cursor = collection.find({ _id: { $gt: lastId } }, { tailable: true, awaitData: true });
+                for await (const doc of cursor) {
+                    lastId = doc._id;
+                    if (doc.envelope) {
+                        handlers.forEach(handler => {
+                            try {
+                                handler(doc.envelope);
+                            } catch (error) {
+                                console.error('Realtime handler error:', error);
+                            }
+                        });
+                    }
+                    if (!tailing) break;
+                }
+            } catch (error) {
+                if (tailing) {
+                    console.error('Realtime event tail failed, retrying:', error.message);
+                }
+            }
+            if (tailing) {
+                await sleep(RETRY_DELAY_MS);
+            }
+        }
+    };
+
+    const stopTailing = () => {
+        tailing = false;
+        if (cursor) {
+            cursor.close().catch(() => {});
+            cursor = null;
+        }
+    };
+
+    return {
+        name: 'mongo',
+        // Deliver an event envelope to every instance, this one included
+        publish: async (envelope) => {
+            const collection = await getCollection();
+            await collection.insertOne({ envelope, createdAt: new Date() });
+        },
+        // Register the handler that receives envelopes from all instances
+        onMessage: (handler) => {
+            handlers.add(handler);
+            if (!tailing) {
+                tailing = true;
+                tail();
+            }
+            return () => {
+                handlers.delete(handler);
+                if (handlers.size === 0) stopTailing();
+            };
+        }
+    };
+};
+
+module.exports = createMongoAdapter;
@@ -0,0 +1,65 @@
+/**
+ * Review helpers: double-blind window and rating summaries
+ */
+const Job = require('../models/Job');
+const Review = require('../models/Review');
+
+const REVIEW_WINDOW_DAYS = parseFloat(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+/**
+ * When reviewing closes for a job (and hidden reviews get revealed)
+ * @param {Object} job - Completed job
+ * @returns {Date} End of the review window
+ */
+const getReviewWindowEnd = (job) => new Date(
+    new Date(job.completedAt).getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000
+);
+
+/**
+ * Turn stored sums/counts into averages for API responses
+ * @param {Object} stats - reviewStats from a User or Worker
+ * @returns {Object} { count, rating, quality, punctuality, communication, value }
+ */
+const summarizeReviewStats = (stats = {}) => {
+    const average = (sum, count) => (count > 0 ? Math.round((sum / count) * 100) / 100 : null);
+    const summary = {
+        count: stats.count || 0,
+        rating: average(stats.ratingSum, stats.count)
+    };
+    Review.SUB_SCORES.forEach(score => {
+        summary[score] = average(stats[`${score}Sum`], stats[`${score}Count`]);
+    });
+    return summary;
+};
+
+/**
+ * Reveal hidden reviews on jobs whose review window has closed
+ * @returns {Promise<Number>} Number of jobs whose reviews were revealed
+ */
+const revealExpiredReviews = async () => {
+    const jobIds = await Review.distinct('job', { revealed: false });
+    if (jobIds.length === 0) {
+        return 0;
+    }
+
+    const cutoff = new Date(Date.now() - REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const expiredJobs = await Job.find({
+        _id: { $in: jobIds },
+        completedAt: { $lte: cutoff },
+        activeDispute: null
+    }).select('_id');
+
+    for (const job of expiredJobs) {
+        const hidden = await Review.find({ job: job._id, revealed: false });
+        await Review.reveal(hidden);
+    }
+
+    return expiredJobs.length;
+};
+
+module.exports = {
+    REVIEW_WINDOW_DAYS,
+    getReviewWindowEnd,
+    summarizeReviewStats,
+    revealExpiredReviews
+};
@@ -0,0 +1,14 @@
+// utils/sms/consoleProvider.js
+const crypto = require('crypto');
+
+// Prints each message to the console instead of sending it
+const createConsoleProvider = () => ({
+    name: 'console',
+    send: async (message) => {
+        const messageId = crypto.randomBytes(8).toString('hex');
+        console.log(`[sms] to=${message.to}: ${message.text}`);
+        return { messageId };
+    }
+});
+
+module.exports = createConsoleProvider;
@@ -0,0 +1,26 @@
+// utils/sms/fileProvider.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as a JSON file for local development
+const createFileProvider = (options = {}) => {
+    const dir = options.dir || process.env.SMS_FILE_DIR || path.join(__dirname, '..', '..', 'logs', 'sms');
+
+    return {
+        name: 'file',
+        dir,
+        send: async (message) => {
+            const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(dir, `${messageId}.json`),
+                JSON.stringify({ messageId, sentAt: new Date(), ...message }, null, 2)
+            );
+            console.log(`SMS to ${message.to} written to ${dir}/${messageId}.json`);
+            return { messageId };
+        }
+    };
+};
+
+module.exports = createFileProvider;
@@ -0,0 +1,57 @@
+// utils/sms/httpGatewayProvider.js
+
+// Posts each message as JSON to an SMS gateway. Field names and the auth
+// header are configurable so most gateways work without code changes.
+const createHttpGatewayProvider = (options = {}) => {
+    const url = options.url || process.env.SMS_GATEWAY_URL;
+    const toField = options.toField || process.env.SMS_GATEWAY_TO_FIELD || 'to';
+    const textField = options.textField || process.env.SMS_GATEWAY_TEXT_FIELD || 'message';
+    const fromField = options.fromField || process.env.SMS_GATEWAY_FROM_FIELD || 'from';
+    const authHeader = options.authHeader || process.env.SMS_GATEWAY_AUTH_HEADER || 'Authorization';
+    const token = options.token || process.env.SMS_GATEWAY_TOKEN;
+    const timeoutMs = parseInt(options.timeoutMs || process.env.SMS_GATEWAY_TIMEOUT_MS, 10) || 10000;
+
+    if (!url) {
+        throw new Error('SMS_GATEWAY_URL is required for the http SMS provider');
+    }
+
+    return {
+        name: 'http',
+        send: async (message) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) {
+                headers[authHeader] = authHeader === 'Authorization' ? `Bearer ${token}` : token;
+            }
+
+            const body = { [toField]: message.to, [textField]: message.text };
+            if (message.from) {
+                body[fromField] = message.from;
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            const text = await response.text();
+            if (!response.ok) {
+                const error = new Error(`SMS gateway responded ${response.status}: ${text.slice(0, 200)}`);
+                error.statusCode = response.status;
+                throw error;
+            }
+
+            let data = {};
+            try {
+                data = JSON.parse(text);
+            } catch (err) {
+                // Some gateways answer with plain text; the status is all we need
+            }
+
+            return { messageId: data.messageId || data.id || data.sid };
+        }
+    };
+};
+
+module.exports = createHttpGatewayProvider;
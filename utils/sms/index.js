@@ -0,0 +1,105 @@
+/**
+ * Outbound SMS
+ *
+ * Every provider implements the same interface:
+ *   send({ to, text }) -> Promise<{ messageId }>
+ *
+ * The provider is chosen with SMS_PROVIDER (http | file | console | memory).
+ * When it is not set, the HTTP gateway is used if SMS_GATEWAY_URL is
+ * configured, otherwise messages are written to disk. In production that
+ * fallback is refused: messages would be recorded as sent without leaving
+ * the server.
+ */
+const createHttpGatewayProvider = require('./httpGatewayProvider');
+const createFileProvider = require('./fileProvider');
+const createConsoleProvider = require('./consoleProvider');
+const createMemoryProvider = require('./memoryProvider');
+
+let provider = null;
+
+const createProvider = (name) => {
+    switch (name) {
+        case 'http':
+            return createHttpGatewayProvider();
+        case 'file':
+            return createFileProvider();
+        case 'console':
+            return createConsoleProvider();
+        case 'memory':
+            return createMemoryProvider();
+        default:
+            throw new Error(`Unknown SMS provider: ${name}`);
+    }
+};
+
+/**
+ * Name of the provider to use
+ * @returns {String}
+ * @throws {Error} In production when no provider is configured
+ */
+const resolveProviderName = () => {
+    if (process.env.SMS_PROVIDER) {
+        return process.env.SMS_PROVIDER;
+    }
+    if (process.env.SMS_GATEWAY_URL) {
+        return 'http';
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('No SMS provider configured: set SMS_GATEWAY_URL (or SMS_PROVIDER) in production');
+    }
+    return 'file';
+};
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {Object} SMS provider
+ */
+const getProvider = () => {
+    if (!provider) {
+        provider = createProvider(resolveProviderName());
+    }
+    return provider;
+};
+
+/**
+ * Check the SMS configuration at startup so a bad deploy fails loudly
+ * @throws {Error} If no usable provider is configured
+ */
+const verifySmsConfig = () => {
+    const { name } = getProvider();
+    if (process.env.NODE_ENV === 'production' && name !== 'http') {
+        console.error(`SMS provider "${name}" does not deliver messages; use http in production`);
+    }
+};
+
+/**
+ * Replace the active provider (e.g. with a memory provider in tests)
+ * @param {Object} nextProvider - Object implementing send()
+ */
+const setProvider = (nextProvider) => {
+    provider = nextProvider;
+};
+
+/**
+ * Send a text message through the active provider
+ * @param {Object} message - { to, text }
+ * @returns {Promise<Object>} { messageId }
+ */
+const sendSms = async (message) => {
+    if (!message.to || !message.text) {
+        throw new Error('SMS requires a recipient and a text');
+    }
+
+    return getProvider().send({
+        from: process.env.SMS_FROM,
+        ...message
+    });
+};
+
+module.exports = {
+    sendSms,
+    getProvider,
+    setProvider,
+    verifySmsConfig,
+    createProvider
+};
@@ -0,0 +1,68 @@
+/**
+ * Background task definitions
+ *
+ * registerTasks() wires every task name to its handler; scheduleRecurringTasks()
+ * makes sure the periodic maintenance tasks exist. Both the API server and
+ * the standalone worker (worker.js) call them before processing the queue.
+ */
+const Job = require('../models/Job');
+const { defineTask, scheduleRecurring } = require('./queue');
+const { notifyJobStage, widenJobNotifications, sendQuietHourDigests } = require('./notifications');
+const { retryDueDeliveries } = require('./notificationChannels');
+const { autoConfirmDueCompletions } = require('./completion');
+const { revealExpiredReviews } = require('./reviews');
+const { expireStaleJobs, sendJobReminders, flagOverdueJobs } = require('./jobScheduler');
+const { generateDueSeries } = require('./jobSeries');
+
+const MINUTE_MS = 60 * 1000;
+
+// How often each maintenance task runs
+const RECURRING_TASKS = {
+    'completion.autoConfirm': 15 * MINUTE_MS,
+    'reviews.reveal': 60 * MINUTE_MS,
+    'notifications.digest': 5 * MINUTE_MS,
+    'notifications.retryDeliveries': MINUTE_MS,
+    'jobs.expire': 5 * MINUTE_MS,
+    'jobs.remind': 5 * MINUTE_MS,
+    'jobs.flagOverdue': 15 * MINUTE_MS,
+    'jobs.generateSeries': 60 * MINUTE_MS
+};
+
+const registerTasks = () => {
+    // Fan a new job out to matching workers (first search radius), once any
+    // hold for a series' previous worker is over
+    defineTask('notifications.newJob', async ({ jobId }) => {
+        const job = await Job.findById(jobId);
+        if (!job || job.status !== 'pending' || job.worker) {
+            return;
+        }
+        if (job.offer && job.offer.worker && job.offer.expiresAt > new Date()) {
+            return;
+        }
+        if (job.notificationRound && job.notificationRound.notifiedAt) {
+            return;
+        }
+        await notifyJobStage(job, 0);
+    });
+
+    defineTask('notifications.widenJob', ({ jobId, stage }) => widenJobNotifications(jobId, stage));
+
+    defineTask('notifications.digest', () => sendQuietHourDigests());
+    defineTask('notifications.retryDeliveries', () => retryDueDeliveries());
+    defineTask('completion.autoConfirm', () => autoConfirmDueCompletions());
+    defineTask('reviews.reveal', () => revealExpiredReviews());
+    defineTask('jobs.expire', () => expireStaleJobs());
+    defineTask('jobs.remind', () => sendJobReminders());
+    defineTask('jobs.flagOverdue', () => flagOverdueJobs());
+    defineTask('jobs.generateSeries', () => generateDueSeries());
+};
+
+const scheduleRecurringTasks = () => Promise.all(
+    Object.entries(RECURRING_TASKS).map(([name, everyMs]) => scheduleRecurring(name, everyMs))
+);
+
+module.exports = {
+    RECURRING_TASKS,
+    registerTasks,
+    scheduleRecurringTasks
+};
@@ -0,0 +1,222 @@
+/**
+ * Session and token helpers
+ *
+ * Access tokens are short-lived JWTs that carry the session id (`sid`).
+ * Refresh tokens have the form `<sessionId>.<secret>`; only a hash of the
+ * secret is stored and it is replaced on every refresh.
+ *
+ * Action tokens (email verification, password reset) are JWTs with a
+ * `purpose` claim and a random nonce whose hash is kept on the user, so
+ * each one can be used only once.
+ *
+ * Calendar feed tokens have the form `<userId>.<secret>`. They never expire,
+ * since calendar apps poll the feed unattended, but can be replaced or revoked.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback_secret_for_development';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {String} Signed JWT
+ */
+const signAccessToken = (user, session) => jwt.sign(
+    { _id: user._id.toString(), sid: session._id.toString() },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Start a new session for a user (one per device/login)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used for device metadata
+ * @returns {Object} { session, token, refreshToken }
+ */
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(48).toString('hex');
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashSecret(secret),
+        userAgent: req && req.get ? req.get('User-Agent') : undefined,
+        ip: req ? req.ip : undefined,
+        expiresAt: refreshExpiry()
+    });
+
+    return {
+        session,
+        token: signAccessToken(user, session),
+        refreshToken: `${session._id}.${secret}`
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {String} refreshToken - Token in `<sessionId>.<secret>` form
+ * @returns {Object|null} { session, token, refreshToken } or null if invalid
+ */
+const rotateSession = async (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return null;
+    }
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+        return null;
+    }
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || !session.isActive()) {
+        return null;
+    }
+
+    const presentedHash = hashSecret(secret);
+    const nextSecret = crypto.randomBytes(48).toString('hex');
+
+    // Conditional update so two concurrent refreshes cannot both rotate
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashSecret(nextSecret),
+                lastUsedAt: new Date(),
+                expiresAt: refreshExpiry()
+            }
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        await session.revoke('refresh_token_reuse');
+        return null;
+    }
+
+    return {
+        session: rotated,
+        token: signAccessToken({ _id: rotated.user }, rotated),
+        refreshToken: `${rotated._id}.${nextSecret}`
+    };
+};
+
+// Where each action token's nonce hash lives on the user, and how long it lasts
+const ACTION_TOKENS = {
+    verify_email: {
+        field: 'emailVerificationTokenHash',
+        expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+    },
+    reset_password: {
+        field: 'passwordResetTokenHash',
+        expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h'
+    }
+};
+
+/**
+ * Issue a single-use action token, invalidating any earlier one of the same purpose
+ * @param {Object} user - User document
+ * @param {String} purpose - 'verify_email' or 'reset_password'
+ * @returns {String} Signed token to embed in an email link
+ */
+const createActionToken = async (user, purpose) => {
+    const config = ACTION_TOKENS[purpose];
+    if (!config) {
+        throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+
+    const nonce = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: user._id }, { $set: { [config.field]: hashSecret(nonce) } });
+
+    return jwt.sign(
+        { _id: user._id.toString(), purpose, nonce },
+        getJwtSecret(),
+        { expiresIn: config.expiresIn }
+    );
+};
+
+/**
+ * Verify and burn an action token
+ * @param {String} token - Token from the email link
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} The user the token belonged to, or null if invalid/used/expired
+ */
+const consumeActionToken = async (token, purpose) => {
+    const config = ACTION_TOKENS[purpose];
+    if (!config || !token || typeof token !== 'string') {
+        return null;
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getJwtSecret());
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.purpose !== purpose || !decoded.nonce) {
+        return null;
+    }
+
+    // Clearing the hash in the same update is what makes the token single-use
+    return User.findOneAndUpdate(
+        { _id: decoded._id, [config.field]: hashSecret(decoded.nonce) },
+        { $unset: { [config.field]: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Issue a new calendar feed token, replacing any earlier one
+ * @param {Object} user - User document
+ * @returns {Promise<String>} Token to put in the feed URL
+ */
+const createCalendarFeedToken = async (user) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await User.updateOne({ _id: user._id }, { $set: { calendarFeedTokenHash: hashSecret(secret) } });
+    return `${user._id}.${secret}`;
+};
+
+/**
+ * Find the user a calendar feed token belongs to
+ * @param {String} token - Token from the feed URL
+ * @returns {Promise<Object|null>} Active user, or null if the token is invalid or revoked
+ */
+const findUserByCalendarFeedToken = async (token) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const [userId, secret] = token.split('.');
+    if (!userId || !secret || !/^[a-f\d]{24}$/i.test(userId)) {
+        return null;
+    }
+
+    return User.findOne({
+        _id: userId,
+        calendarFeedTokenHash: hashSecret(secret),
+        status: { $ne: 'suspended' }
+    });
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    createActionToken,
+    consumeActionToken,
+    createCalendarFeedToken,
+    findUserByCalendarFeedToken,
+    signAccessToken,
+    getJwtSecret
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const connectDB = require('./config/db');
+const { startWorker } = require('./utils/queue');
+const { registerTasks, scheduleRecurringTasks } = require('./utils/tasks');
+const { verifyMailConfig } = require('./utils/mail');
+const { verifySmsConfig } = require('./utils/sms');
+const { configureAdapter } = require('./utils/realtime');
+
+// Standalone background task worker. Run one or more of these next to the
+// API server (which runs its own worker unless QUEUE_WORKER_IN_PROCESS=false).
+const run = async () => {
+  verifyMailConfig();
+  verifySmsConfig();
+  await connectDB();
+
+  // Events published by tasks must reach the API servers' streams
+  configureAdapter({ standaloneWorker: true });
+
+  registerTasks();
+  await scheduleRecurringTasks();
+
+  const worker = startWorker();
+
+  const shutdown = async () => {
+    console.log(`Stopping task worker ${worker.workerId}`);
+    worker.stop();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+run().catch(error => {
+  console.error('Task worker failed to start:', error);
+  process.exit(1);
+});